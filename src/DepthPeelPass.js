@@ -0,0 +1,84 @@
+/**
+ * Depth peeling order independent transparency pass.
+ *
+ * Exact (but slower) alternative to WboitPass with the same interface. WBOIT enabled objects
+ * (MeshWboitMaterial, patched materials) are peeled front to back one layer at a time, opaque
+ * and transparent objects are rendered the same as WboitPass.
+ *
+ *  options.layers          (default 4) maximum number of layers peeled each frame (an integer
+ *                          of at least 1), see 'depthPeelPass.layers'
+ *
+ * Other options are those of WboitPass. Depth peeling requires depth textures (WebGL 2, or
+ * WEBGL_depth_texture on WebGL 1), without them WBOIT objects are rendered with WBOIT instead.
+ */
+
+import {
+  AddEquation,
+  CustomBlending,
+  OneFactor,
+  OneMinusSrcAlphaFactor,
+} from "three";
+
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+
+import { DepthPeelCompositeShader } from "./shaders/DepthPeelCompositeShader.js";
+import { WboitPass } from "./WboitPass.js";
+
+class DepthPeelPass extends WboitPass {
+  constructor(renderer, scene, camera, clearColor, clearAlpha, options = {}) {
+    super(renderer, scene, camera, clearColor, clearAlpha, options);
+
+    const { layers = 4 } = options;
+
+    // Maximum number of layers peeled each frame, rounded down to an integer of at least 1
+
+    this.layers = layers;
+
+    if (!(Number.isInteger(layers) && layers >= 1)) {
+      const fallback = Math.max(1, Math.floor(layers) || 1);
+
+      console.warn(
+        `DepthPeelPass: 'layers' must be an integer of at least 1, using ${fallback}.`
+      );
+    }
+
+    // Layers are clipped against opaque depth, shared by the internal targets as a depth texture
+    this._depthPeeling = Boolean(this.baseTarget.depthTexture);
+
+    if (!this._depthPeeling) {
+      console.warn(
+        "DepthPeelPass: Depth textures are not supported, using WBOIT."
+      );
+    }
+
+    // Passes
+
+    this.peelCompositePass = new ShaderPass(DepthPeelCompositeShader);
+    this.peelCompositePass.material.transparent = true;
+    this.peelCompositePass.material.blending = CustomBlending;
+    this.peelCompositePass.material.blendEquation = AddEquation;
+    this.peelCompositePass.material.blendSrc = OneFactor;
+    this.peelCompositePass.material.blendDst = OneMinusSrcAlphaFactor;
+  }
+
+  dispose() {
+    super.dispose();
+
+    if (this.peelCompositePass.dispose) this.peelCompositePass.dispose();
+  }
+
+  _renderWboit(renderer, writeBuffer) {
+    if (!this._depthPeeling) return super._renderWboit(renderer, writeBuffer);
+
+    this._renderPeelLayers(renderer, this.layers);
+
+    // Composite Scene & Layers
+    this.peelCompositePass.uniforms["tScene"].value = this.baseTarget.texture;
+    this.peelCompositePass.uniforms["tPeel"].value = this.peelTarget.texture;
+    this._beginStage(renderer, "composite");
+    this.peelCompositePass.render(renderer, writeBuffer);
+    this._endStage(renderer);
+  }
+}
+
+export { DepthPeelPass };
@@ -12,115 +12,336 @@
 
 import {
   AddEquation,
+  BackSide,
   Color,
   CustomBlending,
+  DepthTexture,
+  DstAlphaFactor,
   FloatType,
+  Frustum,
   HalfFloatType,
+  LineBasicMaterial,
+  LinearFilter,
+  Matrix4,
+  MaxEquation,
+  MeshBasicMaterial,
   NearestFilter,
+  NoBlending,
   OneFactor,
   OneMinusSrcAlphaFactor,
+  OneMinusSrcColorFactor,
+  PointsMaterial,
+  REVISION,
   RGBAFormat,
-  SrcAlphaFactor,
-  SRGBColorSpace,
+  SpriteMaterial,
+  SrcColorFactor,
   UnsignedByteType,
   Vector2,
+  Vector3,
+  Vector4,
   WebGLRenderTarget,
   ZeroFactor,
 } from "three";
 
-import { Pass } from "three/examples/jsm/postprocessing/Pass";
-import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass";
+import { Pass } from "three/examples/jsm/postprocessing/Pass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { CopyShader } from "three/examples/jsm/shaders/CopyShader.js";
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader.js";
 
 import { FillShader } from "./shaders/FillShader.js";
 import { WboitCompositeShader } from "./shaders/WboitCompositeShader.js";
+import { WboitDebugShader } from "./shaders/WboitDebugShader.js";
+import { WboitMergeShader } from "./shaders/WboitMergeShader.js";
+import { WboitTransmissionShader } from "./shaders/WboitTransmissionShader.js";
+import { MeshDepthWboitMaterial } from "./materials/MeshDepthWboitMaterial.js";
+import { MeshDistanceWboitMaterial } from "./materials/MeshDistanceWboitMaterial.js";
 import { WboitStages } from "./materials/MeshWboitMaterial.js";
+import { hasMultipleOutputs } from "./materials/WboitMaterialUtils.js";
+import { WboitEncodings } from "./shaders/WboitShaderChunk.js";
+import { WboitRegistry } from "./WboitRegistry.js";
+import { WboitTargetPool } from "./WboitTargetPool.js";
+import { WboitTimer } from "./WboitTimer.js";
+import { WboitUtils } from "./WboitUtils.js";
+import { WboitWeights } from "./WboitWeights.js";
 
 const _clearColorZero = new Color(0.0, 0.0, 0.0);
 const _clearColorOne = new Color(1.0, 1.0, 1.0);
 
-const CopyShader = {
-  name: "CopyShader",
+// Thickness pass, channel of the shared target of each volume (nearest volumes first)
+const _volumeChannels = [
+  new Vector4(1, 0, 0, 0),
+  new Vector4(0, 1, 0, 0),
+  new Vector4(0, 0, 1, 0),
+  new Vector4(0, 0, 0, 1),
+];
 
-  uniforms: {
-    tDiffuse: { value: null },
-    opacity: { value: 1.0 },
-  },
-
-  vertexShader: /* glsl */ `
-
-		varying vec2 vUv;
-
-		void main() {
-
-			vUv = uv;
-			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
-
-		}`,
-
-  fragmentShader: /* glsl */ `
-
-		uniform float opacity;
+const _frustum = new Frustum();
+const _projScreenMatrix = new Matrix4();
+const _cameraPosition = new Vector3();
+const _objectPosition = new Vector3();
 
-		uniform sampler2D tDiffuse;
+let _stageMaterialId = -1;
 
-		varying vec2 vUv;
+// Render target precisions, from highest to lowest
+const _precisions = ["float", "half", "byte"];
 
-		void main() {
+const _precisionTypes = {
+  float: FloatType,
+  half: HalfFloatType,
+  byte: UnsignedByteType,
+};
 
-			gl_FragColor = texture2D( tDiffuse, vUv );
-			gl_FragColor.a *= opacity;
+const _capabilities = new WeakMap();
+
+// Render targets have several color textures since r162 (WebGLMultipleRenderTargets before, which
+// is not used as it was removed in r172 and a named import of it fails to link)
+const _targetTextures = parseInt(REVISION) >= 162;
+
+// Set on depth materials by WebGLShadowMap for the drawn material
+const _shadowState = [
+  "visible",
+  "wireframe",
+  "side",
+  "alphaMap",
+  "alphaTest",
+  "map",
+  "clipShadows",
+  "clippingPlanes",
+  "clipIntersection",
+  "displacementMap",
+  "displacementScale",
+  "displacementBias",
+  "wireframeLinewidth",
+  "linewidth",
+];
+
+// Values of 'debugView', index is the view of WboitDebugShader
+const _debugViews = [
+  "none",
+  "accumulation",
+  "accumulationAlpha",
+  "revealage",
+  "weight",
+  "overdraw",
+  "classification",
+];
+
+const _classificationColors = {
+  opaque: 0x808080,
+  transparent: 0x00ff00,
+  wboit: 0xff00ff,
+};
 
-		}`,
+// Overdraw view, sorted transparent fragments are counted like WBOIT fragments (1 / 255 each)
+const _overdrawSettings = {
+  opacity: 1 / 255,
+  transparent: true,
+  blending: CustomBlending,
+  blendEquation: AddEquation,
+  blendSrc: OneFactor,
+  blendDst: OneFactor,
+  depthWrite: false,
+  depthTest: true,
+  forceSinglePass: true,
 };
 
-const CopyAlphaTestShader = {
-  uniforms: {
-    tDiffuse: { value: null },
-    uGamma: { value: 0 },
-  },
+// Properties of the original material that change what a debug material covers
+const _debugProperties = [
+  "side",
+  "wireframe",
+  "size",
+  "sizeAttenuation",
+  "rotation",
+  "linewidth",
+  "clippingPlanes",
+  "clipIntersection",
+];
+
+// Names of stages in 'info', for WBOIT stages and render phases
+const _stageNames = {
+  [WboitStages.Acummulation]: "accumulation",
+  [WboitStages.Revealage]: "revealage",
+  [WboitStages.Combined]: "combined",
+  [WboitStages.Peel]: "peel",
+  [WboitStages.Weight]: "debug",
+  [WboitStages.Overdraw]: "debug",
+};
 
-  vertexShader: /* glsl */ `
+const RenderPhase = {
+  None: 0,
+  Opaque: 1,
+  Transparent: 2,
+  Wboit: 3,
+  Depth: 4,
+  Classification: 5,
+  Thickness: 6,
+};
 
-		varying vec2 vUv;
+const _phaseNames = {
+  [RenderPhase.Opaque]: "opaque",
+  [RenderPhase.Transparent]: "transparent",
+  [RenderPhase.Depth]: "depth",
+  [RenderPhase.Classification]: "debug",
+  [RenderPhase.Thickness]: "thickness",
+};
 
-		void main() {
+// Blend and depth state of materials, for each render stage of WboitPass
 
-			vUv = uv;
-			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+const _stageSettings = {
+  // Transparent materials of objects rendered as opaque (see WboitRegistry, 'userData.wboitMode')
+  opaque: {
+    transparent: false,
+  },
 
-		}`,
+  // Transparent (non WBOIT) objects, depth buffer only holds opaque depth
+  transparent: {
+    depthWrite: false,
+  },
 
-  fragmentShader: /* glsl */ `
+  // Opaque depth for targets that can not share the depth texture
+  depth: {
+    colorWrite: false,
+  },
 
-		uniform sampler2D tDiffuse;
-		uniform float uGamma;
+  // Inverse distance of the back faces of volumes, one channel each (see WboitPass.thicknessPass)
+  [WboitStages.Thickness]: {
+    side: BackSide,
+    blending: CustomBlending,
+    blendEquation: MaxEquation,
+    blendSrc: OneFactor,
+    blendDst: OneFactor,
+    blendEquationAlpha: null,
+    blendSrcAlpha: null,
+    blendDstAlpha: null,
+    depthWrite: false,
+    depthTest: false,
+    forceSinglePass: true,
+  },
 
-		varying vec2 vUv;
+  [WboitStages.Acummulation]: {
+    blending: CustomBlending,
+    blendEquation: AddEquation,
+    blendSrc: OneFactor,
+    blendDst: OneFactor,
+    blendEquationAlpha: null,
+    blendSrcAlpha: null,
+    blendDstAlpha: null,
+    depthWrite: false,
+    depthTest: true,
+    forceSinglePass: true,
+  },
 
-		void main() {
+  // Color channels hold colored transmission, alpha channel holds revealage
+  [WboitStages.Revealage]: {
+    blending: CustomBlending,
+    blendEquation: AddEquation,
+    blendSrc: ZeroFactor,
+    blendDst: OneMinusSrcColorFactor,
+    blendEquationAlpha: AddEquation,
+    blendSrcAlpha: ZeroFactor,
+    blendDstAlpha: OneMinusSrcAlphaFactor,
+    depthWrite: false,
+    depthTest: true,
+    forceSinglePass: true,
+  },
 
-			vec4 color = texture2D( tDiffuse, vUv );
-			if ( color.a == 0.0 ) discard;
+  // Color channels accumulate, alpha channel holds revealage
+  [WboitStages.Combined]: {
+    blending: CustomBlending,
+    blendEquation: AddEquation,
+    blendSrc: OneFactor,
+    blendDst: OneFactor,
+    blendEquationAlpha: AddEquation,
+    blendSrcAlpha: ZeroFactor,
+    blendDstAlpha: OneMinusSrcAlphaFactor,
+    depthWrite: false,
+    depthTest: true,
+    forceSinglePass: true,
+  },
 
-			// LinearTosRGB( color );
-			if (uGamma > 0.0) {
-				color.rgb = mix( pow( color.rgb, vec3( 0.41666 ) ) * 1.055 - vec3( 0.055 ), color.rgb * 12.92, vec3( lessThanEqual( color.rgb, vec3( 0.0031308 ) ) ) );
-			}
+  // Nearest unpeeled fragment wins, see DepthPeelPass and 'exactLayers'
+  [WboitStages.Peel]: {
+    blending: NoBlending,
+    depthWrite: true,
+    depthTest: true,
+    forceSinglePass: true,
+  },
 
-			gl_FragColor = vec4(color.rgb, 1.0);
+  // Debug view, highest weight of the pixel
+  [WboitStages.Weight]: {
+    blending: CustomBlending,
+    blendEquation: MaxEquation,
+    blendSrc: OneFactor,
+    blendDst: OneFactor,
+    blendEquationAlpha: null,
+    blendSrcAlpha: null,
+    blendDstAlpha: null,
+    depthWrite: false,
+    depthTest: true,
+    forceSinglePass: true,
+  },
 
-		}`,
+  // Debug view, fragment count of the pixel
+  [WboitStages.Overdraw]: {
+    blending: CustomBlending,
+    blendEquation: AddEquation,
+    blendSrc: OneFactor,
+    blendDst: OneFactor,
+    blendEquationAlpha: null,
+    blendSrcAlpha: null,
+    blendDstAlpha: null,
+    depthWrite: false,
+    depthTest: true,
+    forceSinglePass: true,
+  },
 };
 
 /**
  * Weighted, blended order independent transparency pass.
  * Transparent meshes should use MeshWboitMaterial.
+ *
+ * Renders into the viewport and scissor region of the output (renderer or render target), with
+ * ArrayCamera sub-cameras and WebXR eyes in their own viewports.
+ *
+ *  options.precision       'auto' (default), 'float', 'half' or 'byte', type of internal render
+ *                          targets. Unsupported precisions fall back to the next lower one, the
+ *                          type in use is 'wboitPass.precision' (see WboitPass.getCapabilities)
+ *  options.resolutionScale (default 1.0) WBOIT objects are rendered at reduced resolution (0.5 =
+ *                          half), see 'wboitPass.resolutionScale'
+ *  options.samples         (default 0) MSAA sample count of internal targets (WebGL 2), opaque
+ *                          objects are then drawn into each multisampled target (depth only)
+ *  options.fxaa            (default false) FXAA edge pass over the composite when internal targets
+ *                          are not multisampled (WebGL 1, or 'samples' of 0)
+ *  options.debugView       (default 'none') output of the pass, see 'wboitPass.debugView'
+ *  options.gpuTiming       (default false) GPU time per stage in 'wboitPass.info', see
+ *                          'wboitPass.gpuTiming'
+ *  options.transparentShadows  (default true) WBOIT objects cast shadows in proportion to their
+ *                          opacity, see 'wboitPass.transparentShadows'
+ *  options.exactLayers     (default 0) hybrid mode, number of front layers of WBOIT objects that
+ *                          are rendered exactly, see 'wboitPass.exactLayers'
+ *  options.opacityThreshold    (default 0.0) opacity from which front layers are exact, see
+ *                          'wboitPass.opacityThreshold'
+ *  options.thicknessPass   (default false) per pixel thickness of volumes, see
+ *                          'wboitPass.thicknessPass'
  */
 class WboitPass extends Pass {
-  constructor(renderer, scene, camera, clearColor, clearAlpha) {
+  constructor(renderer, scene, camera, clearColor, clearAlpha, options = {}) {
     if (!renderer)
       return console.error("WboitPass: Renderer must be supplied!");
 
+    const {
+      precision = "auto",
+      resolutionScale = 1.0,
+      samples = 0,
+      fxaa = false,
+      debugView = "none",
+      gpuTiming = false,
+      transparentShadows = true,
+      exactLayers = 0,
+      opacityThreshold = 0.0,
+      thicknessPass = false,
+    } = options;
+
     super();
 
     this.scene = scene;
@@ -133,133 +354,234 @@ class WboitPass extends Pass {
     this.clearDepth = false;
     this.needsSwap = false;
 
+    // Name of weight function (see WboitWeights) for materials that do not specify one
+
+    this.weightFunction = "adjustable";
+
+    // Colored (per channel) transmission from material 'transmissionColor', uses separate
+    // accumulation and revealage passes
+
+    this.coloredTransmission = false;
+
+    // Shadows of WBOIT objects that cast shadows follow their opacity (and colored transmission,
+    // averaged), with MeshDepthWboitMaterial / MeshDistanceWboitMaterial. Shadow maps hold depth
+    // only, colored shadow maps are not implemented (they need a color map per light, read by all
+    // shadow receiving materials). Objects with their own 'customDepthMaterial' or
+    // 'customDistanceMaterial' keep it.
+
+    this.transparentShadows = transparentShadows;
+
+    // Hybrid mode, the front 'exactLayers' layers of WBOIT objects are depth peeled (exact order,
+    // see DepthPeelPass) and only the fragments behind them are accumulated with weights. Nearly
+    // opaque surfaces then look opaque. Requires depth textures, 0 disables the hybrid mode.
+
+    this.exactLayers = exactLayers;
+
+    // Volume absorption of WBOIT materials with a finite 'attenuationDistance' (Beer-Lambert, see
+    // KHR_materials_volume) uses their constant 'thickness'. With the thickness pass the back
+    // faces of the volumes are rendered first, and the thickness of each fragment is its distance
+    // to the nearest back face of its own object behind it (the constant 'thickness' if there is
+    // none). Costs one scene render and one shared target for the 4 nearest volumes in view,
+    // others use their constant 'thickness'.
+
+    this.thicknessPass = thicknessPass;
+
+    // Front layer fragments are exact from this opacity on, below it their share of the exact
+    // layer fades out over 0.1 and the weighted remainder takes over (0.0: always exact). Keeps
+    // fades of nearly opaque surfaces (e.g. 0.9 to 1.0) continuous.
+
+    this.opacityThreshold = opacityThreshold;
+
+    // Resolution of WBOIT objects relative to the scene (0.0 to 1.0), reduced resolution is
+    // upsampled guided by the depth of opaque objects
+
+    this.resolutionScale = resolutionScale;
+
+    // Multisampling of internal targets (off by default), limited to
+    // 'renderer.capabilities.maxSamples'. Multisampled targets resolve color and depth before they
+    // are composited, and can not share opaque depth (opaque objects are drawn into each).
+
+    this.samples = samples;
+
+    // Anti-aliasing of the composite for targets without multisampling
+
+    this.fxaa = fxaa;
+
+    // Output instead of the final image:
+    //  'none'                  final image
+    //  'accumulation'          accumulated (weighted, premultiplied) color of WBOIT objects
+    //  'accumulationAlpha'     accumulated (weighted) alpha of WBOIT objects
+    //  'revealage'             share of the background that remains visible
+    //  'weight'                highest weight of the WBOIT fragments of each pixel, as a heatmap
+    //                          (blue to red, log scale from 1e-3 to 1e4)
+    //  'overdraw'              number of WBOIT and sorted transparent fragments of each pixel, as
+    //                          a heatmap (16+ is red)
+    //  'classification'        nearest object of each pixel, colored by category (opaque gray,
+    //                          transparent green, WBOIT magenta)
+
+    this.debugView = debugView;
+
+    // Measure GPU time per stage with timer queries, when the renderer supports them
+
+    this.gpuTiming = gpuTiming;
+
+    // Statistics of the last frame:
+    //  frame           number of frames rendered
+    //  objects         { opaque, transparent, wboit }, objects of the scene in each category
+    //  calls           draw calls per stage ('opaque', 'transparent', 'depth', 'thickness',
+    //                  'accumulation', 'revealage', 'combined', 'peel', 'composite', 'debug')
+    //  targets         { width, height, type, samples } of each internal target
+    //  gpu             { supported, frame, stages }, GPU time per stage in milliseconds. Results
+    //                  arrive a few frames late, 'frame' is the frame they were measured in.
+
+    this.info = {
+      frame: 0,
+      objects: { opaque: 0, transparent: 0, wboit: 0 },
+      calls: {},
+      targets: {},
+      gpu: { supported: false, frame: -1, stages: {} },
+    };
+
+    // Opaque / transparent / WBOIT classification of scene objects, updated each render
+
+    this.registry = new WboitRegistry();
+
     // Internal
 
     this._oldClearColor = new Color();
-    this._blendingCache = new Map();
-    this._blendEquationCache = new Map();
-    this._blendSrcCache = new Map();
-    this._blendDstCache = new Map();
-    this._depthTestCache = new Map();
-    this._depthWriteCache = new Map();
-    this._visibilityCache = new Map();
+    this._phase = RenderPhase.None;
+    this._wboitStage = WboitStages.Normal;
+    this._weightFunctionIndex = 0;
+    this._accumulationEncoding = WboitEncodings.Linear;
+    this._wboitDepthTexture = null;
+    this._filledDepthTexture = null;
+    this._wboitMaterials = new Set();
+    this._targetPool = WboitTargetPool.get(renderer);
+    this._stageMaterials = new Map();
+    this._invalidDebugView = null;
+    this._invalidExactLayers = false;
+    this._isWebGL2 = renderer.capabilities.isWebGL2 === true;
+    this._gl = renderer.getContext();
+    this._queries = [];
+    this._peelDepth = null;
+    this._exactLayers = 0;
+    this._volumeChannels = new Map();
+    this._volumeLimitWarned = false;
+    this._awaitingRenderList = false;
+    this._output = null;
+    this._renderCamera = camera;
+    this._timer = new WboitTimer(renderer);
+    this._stage = null;
+    this._stageCalls = 0;
+    this._combinedRender = false;
+    this._separateMaterials = false;
+
+    this.info.gpu.supported = this._timer.supported;
+
+    this._filterMaterial = (material, object) =>
+      this._getPhaseMaterial(material, object);
+    this._onMaterialDispose = (event) =>
+      this._disposeStageMaterials(event.target);
 
     // Passes
 
-    this.opaquePass = new ShaderPass(CopyAlphaTestShader);
-    this.opaquePass.material.depthTest = false;
-    this.opaquePass.material.depthWrite = false;
-    this.opaquePass.material.blending = CustomBlending;
-    this.opaquePass.material.blendEquation = AddEquation;
-    this.opaquePass.material.blendSrc = OneFactor;
-    this.opaquePass.material.blendDst = ZeroFactor;
-
-    this.transparentPass = new ShaderPass(CopyAlphaTestShader);
-    this.transparentPass.material.depthTest = false;
-    this.transparentPass.material.depthWrite = false;
-    this.transparentPass.material.blending = CustomBlending;
-    this.transparentPass.material.blendEquation = AddEquation;
-    this.transparentPass.material.blendSrc = OneFactor;
-    this.transparentPass.material.blendDst = OneMinusSrcAlphaFactor;
-
-    this.copyPass = new ShaderPass(CopyShader);
-    this.copyPass.material.depthTest = false;
-    this.copyPass.material.depthWrite = false;
-    this.copyPass.material.blending = CustomBlending;
-    this.copyPass.material.blendEquation = AddEquation;
-    this.copyPass.material.blendSrc = OneFactor;
-    this.copyPass.material.blendDst = ZeroFactor;
-
     this.compositePass = new ShaderPass(WboitCompositeShader);
     this.compositePass.material.transparent = true;
     this.compositePass.material.blending = CustomBlending;
     this.compositePass.material.blendEquation = AddEquation;
-    this.compositePass.material.blendSrc = OneMinusSrcAlphaFactor;
-    this.compositePass.material.blendDst = SrcAlphaFactor;
-
-    const testPass = new ShaderPass(FillShader);
-    const testR = 1.0;
-    const testG = 1.0;
-    const testB = 1.0;
-    const testA = 0.0;
-    testPass.material.uniforms["color"].value = new Color(testR, testG, testB);
-    testPass.material.uniforms["opacity"].value = testA;
-    testPass.material.blending = CustomBlending;
-    testPass.material.blendEquation = AddEquation;
-    testPass.material.blendSrc = OneFactor;
-    testPass.material.blendDst = ZeroFactor;
-
-    // Find Best Render Target Type
-    // gl.getExtension( 'EXT_color_buffer_float' ) - lacking support, see:
-    // https://stackoverflow.com/questions/28827511/webgl-ios-render-to-floating-point-texture
+    this.compositePass.material.blendSrc = OneFactor;
+    this.compositePass.material.blendDst = OneMinusSrcAlphaFactor;
+
+    this.transmissionPass = new ShaderPass(WboitTransmissionShader);
+    this.transmissionPass.material.transparent = true;
+    this.transmissionPass.material.blending = CustomBlending;
+    this.transmissionPass.material.blendEquation = AddEquation;
+    this.transmissionPass.material.blendSrc = ZeroFactor;
+    this.transmissionPass.material.blendDst = SrcColorFactor;
+
+    // Blend state follows compositePass, output is converted like the composite
+    this.fxaaPass = new ShaderPass(
+      Object.assign({}, FXAAShader, {
+        fragmentShader: FXAAShader.fragmentShader.replace(
+          /}\s*$/,
+          "\n\t#include <wboit_output_fragment>\n\n}\n"
+        ),
+      })
+    );
+    this.fxaaPass.material.transparent = true;
+    this.fxaaPass.material.blending = CustomBlending;
+    this.fxaaPass.material.blendEquation = AddEquation;
+    this.fxaaPass.material.blendSrc = OneFactor;
+    this.fxaaPass.material.blendDst = OneMinusSrcAlphaFactor;
+
+    this.debugPass = new ShaderPass(WboitDebugShader);
+
+    // Blends separately rendered WBOIT objects into the combined targets (see _renderWboitTargets)
+    this.mergePass = new ShaderPass(WboitMergeShader);
+    Object.assign(
+      this.mergePass.material,
+      _stageSettings[WboitStages.Combined],
+      { depthTest: false }
+    );
+
+    // Blends a peeled layer behind the previous ones (see _renderPeelLayers)
+    this.layerPass = new ShaderPass(CopyShader);
+    this.layerPass.material.depthTest = false;
+    this.layerPass.material.depthWrite = false;
+    this.layerPass.material.blending = CustomBlending;
+    this.layerPass.material.blendEquation = AddEquation;
+    this.layerPass.material.blendSrc = DstAlphaFactor;
+    this.layerPass.material.blendDst = OneFactor;
+    this.layerPass.material.blendEquationAlpha = AddEquation;
+    this.layerPass.material.blendSrcAlpha = ZeroFactor;
+    this.layerPass.material.blendDstAlpha = OneMinusSrcAlphaFactor;
+
+    // Render Target Precision
 
     const size = renderer.getSize(new Vector2());
     const pixelRatio = renderer.getPixelRatio();
     const effectiveWidth = size.width * pixelRatio;
     const effectiveHeight = size.height * pixelRatio;
 
-    const gl = renderer.getContext();
+    const capabilities = WboitPass.getCapabilities(renderer);
 
-    const oldTarget = renderer.getRenderTarget();
-    const oldClearAlpha = renderer.getClearAlpha();
-    renderer.getClearColor(this._oldClearColor);
+    this.precision = selectPrecision(capabilities, precision);
 
-    const targetTypes = [FloatType, HalfFloatType, UnsignedByteType];
-    const targetGlTypes = [gl.FLOAT, gl.HALF_FLOAT, gl.UNSIGNED_BYTE];
-    const targetBuffers = [
-      new Float32Array(4),
-      new Uint16Array(4),
-      new Uint8Array(4),
-    ];
-    const targetDivisor = [1, 15360, 255];
+    const targetType = _precisionTypes[this.precision];
 
-    let targetType;
+    // 8-bit targets store compressed weights, so accumulation does not saturate. The encoding loses
+    // precision (banding, flattened weights), 'auto' only picks it without half float support.
+    this._accumulationEncoding =
+      this.precision === "byte"
+        ? WboitEncodings.Normalized
+        : WboitEncodings.Linear;
 
-    for (let i = 0; i < targetTypes.length; i++) {
-      const testTarget = new WebGLRenderTarget(1, 1, {
-        minFilter: NearestFilter,
-        magFilter: NearestFilter,
-        type: targetTypes[i],
-        format: RGBAFormat,
-        stencilBuffer: false,
-        depthBuffer: true,
-      });
+    // Multiple Render Targets (WebGL 2), accumulation and revealage are written in a single draw
 
-      testPass.render(renderer, testTarget);
+    this.multipleRenderTargets = capabilities.multipleRenderTargets;
 
-      gl.readPixels(0, 0, 1, 1, gl.RGBA, targetGlTypes[i], targetBuffers[i]);
-      const rgba = Array.apply([], targetBuffers[i]);
-      rgba[0] /= targetDivisor[i];
-      rgba[1] /= targetDivisor[i];
-      rgba[2] /= targetDivisor[i];
-      rgba[3] /= targetDivisor[i];
+    // Thickness pass, inverse distances are blended at the highest precision available
+    this._thicknessType = capabilities.precisions.float
+      ? FloatType
+      : capabilities.precisions.half
+      ? HalfFloatType
+      : null;
 
-      function fuzzyEqual(a, b, epsilon = 0.01) {
-        return a < b + epsilon && a > b - epsilon;
-      }
-
-      let complete =
-        gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
-      complete = complete && fuzzyEqual(rgba[0], testR);
-      complete = complete && fuzzyEqual(rgba[1], testG);
-      complete = complete && fuzzyEqual(rgba[2], testB);
-      complete = complete && fuzzyEqual(rgba[3], testA);
-      complete = complete || i === targetTypes.length - 1;
-
-      testTarget.dispose();
-
-      if (complete) {
-        targetType = targetTypes[i];
-        break;
-      }
-    }
-
-    if (testPass.dispose) testPass.dispose();
-    renderer.setRenderTarget(oldTarget);
-    renderer.setClearColor(this._oldClearColor, oldClearAlpha);
+    this._maxSamples = capabilities.isWebGL2
+      ? renderer.capabilities.maxSamples || 0
+      : 0;
 
     // Render Targets
+    //
+    // Opaque depth is a depth texture attached to every internal target, so WBOIT objects are
+    // depth tested against it without copying renders around. Without depth textures (some
+    // WebGL 1 devices) opaque objects are rendered again, depth only, into each target.
+
+    const depthTexture = capabilities.depthTexture
+      ? new DepthTexture(effectiveWidth, effectiveHeight)
+      : null;
 
+    // Opaque and transparent (non WBOIT) objects
     this.baseTarget = new WebGLRenderTarget(effectiveWidth, effectiveHeight, {
       minFilter: NearestFilter,
       magFilter: NearestFilter,
@@ -267,6 +589,7 @@ class WboitPass extends Pass {
       format: RGBAFormat,
       stencilBuffer: false,
       depthBuffer: true,
+      depthTexture: depthTexture,
     });
 
     this.accumulationTarget = new WebGLRenderTarget(
@@ -278,24 +601,122 @@ class WboitPass extends Pass {
         type: targetType,
         format: RGBAFormat,
         stencilBuffer: false,
-        depthBuffer: false,
+        depthBuffer: true,
+        depthTexture: depthTexture,
       }
     );
+
+    this.revealageTarget = new WebGLRenderTarget(
+      effectiveWidth,
+      effectiveHeight,
+      {
+        minFilter: NearestFilter,
+        magFilter: NearestFilter,
+        type: targetType,
+        format: RGBAFormat,
+        stencilBuffer: false,
+        depthBuffer: true,
+        depthTexture: depthTexture,
+      }
+    );
+
+    this.multipleTarget = null;
+
+    if (capabilities.multipleRenderTargets) {
+      this.multipleTarget = createMultipleRenderTarget(
+        effectiveWidth,
+        effectiveHeight,
+        2,
+        {
+          minFilter: NearestFilter,
+          magFilter: NearestFilter,
+          type: targetType,
+          format: RGBAFormat,
+          stencilBuffer: false,
+          depthBuffer: true,
+        }
+      );
+
+      this.multipleTarget.depthTexture = depthTexture;
+    }
+
+    // Targets of the pool shared by the passes of the renderer (see WboitTargetPool), acquired
+    // when used and released at the end of each render
+
+    // Composite before the FXAA pass
+    this.edgeTarget = null;
+
+    // Depth peeling (see _acquirePeelTargets)
+    this.layerTargets = [];
+    this.peelTarget = null;
+
+    // Back face distance of the volumes (see _renderThickness)
+    this.thicknessTarget = null;
+
+    this._width = effectiveWidth;
+    this._height = effectiveHeight;
+
+    // Output region in pixels, viewport and scissor clipped to it (see _updateRegion)
+    this._viewport = new Vector4(0, 0, effectiveWidth, effectiveHeight);
+    this._scissor = new Vector4(0, 0, effectiveWidth, effectiveHeight);
+
+    this._updateTargets();
+  }
+
+  /**
+   * Reports render target support of a renderer (tested once per renderer):
+   *
+   *  isWebGL2                  WebGL 2 context
+   *  multipleRenderTargets     accumulation and revealage in a single draw
+   *  depthTexture              opaque depth is shared between internal targets
+   *  precisions                { float, half, byte }, render target types that support blending
+   *  extensions                availability of the related WebGL extensions
+   */
+  static getCapabilities(renderer) {
+    let capabilities = _capabilities.get(renderer);
+
+    if (!capabilities) {
+      capabilities = testCapabilities(renderer);
+      _capabilities.set(renderer, capabilities);
+    }
+
+    return capabilities;
   }
 
   dispose() {
-    if (this.opaquePass.dispose) this.opaquePass.dispose();
-    if (this.transparentPass.dispose) this.transparentPass.dispose();
-    if (this.copyPass.dispose) this.copyPass.dispose();
     if (this.compositePass.dispose) this.compositePass.dispose();
+    if (this.transmissionPass.dispose) this.transmissionPass.dispose();
+    if (this.fxaaPass.dispose) this.fxaaPass.dispose();
+    if (this.debugPass.dispose) this.debugPass.dispose();
+    if (this.mergePass.dispose) this.mergePass.dispose();
+    if (this.layerPass.dispose) this.layerPass.dispose();
 
     this.baseTarget.dispose();
     this.accumulationTarget.dispose();
+    this.revealageTarget.dispose();
+    if (this.multipleTarget) this.multipleTarget.dispose();
+    if (this._wboitDepthTexture) this._wboitDepthTexture.dispose();
+
+    this._releaseTargets();
+    this._targetPool.detach();
+
+    this._queries.forEach((entry) => this._gl.deleteQuery(entry.query));
+    this._queries.length = 0;
+
+    this.registry.dispose();
+
+    for (const material of Array.from(this._stageMaterials.keys())) {
+      this._disposeStageMaterials(material);
+    }
+
+    this._timer.dispose();
   }
 
   setSize(width, height) {
-    this.baseTarget.setSize(width, height);
-    this.accumulationTarget.setSize(width, height);
+    this._width = width;
+    this._height = height;
+
+    this._updateTargets();
   }
 
   render(
@@ -305,235 +726,1635 @@ class WboitPass extends Pass {
     const scene = this.scene;
     if (!scene || !scene.isScene) return;
 
-    const cache = this._visibilityCache;
-    const blendingCache = this._blendingCache;
-    const blendEquationCache = this._blendEquationCache;
-    const blendSrcCache = this._blendSrcCache;
-    const blendDstCache = this._blendDstCache;
-    const testCache = this._depthTestCache;
-    const writeCache = this._depthWriteCache;
-
-    const opaqueMeshes = [];
-    const transparentMeshes = [];
-    const wboitMeshes = [];
-
-    function gatherMeshes() {
-      scene.traverse((object) => {
-        if (!object.material) return;
-        if (!object.visible) return;
-
-        const materials = Array.isArray(object.material)
-          ? object.material
-          : [object.material];
-        let isTransparent = true;
-        let isWboitCapable = true;
-
-        for (let i = 0; i < materials.length; i++) {
-          isTransparent = isTransparent && materials[i].transparent;
-          isWboitCapable =
-            isWboitCapable && isTransparent && materials[i].wboitEnabled;
-
-          testCache.set(materials[i], materials[i].depthTest);
-          writeCache.set(materials[i], materials[i].depthWrite);
-        }
+    // Save Current State
+    const oldAutoClear = renderer.autoClear;
+    const oldAutoClearColor = renderer.autoClearColor;
+    const oldAutoClearDepth = renderer.autoClearDepth;
+    const oldAutoClearStencil = renderer.autoClearStencil;
+    const oldShadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const oldClearAlpha = renderer.getClearAlpha();
+    const oldRenderTarget = renderer.getRenderTarget();
+    const oldOverrideMaterial = scene.overrideMaterial;
+    const oldInfoAutoReset = renderer.info.autoReset;
+    const xr = renderer.xr;
+    const xrPresenting = Boolean(xr && xr.enabled && xr.isPresenting);
+    renderer.autoClear = false;
+    renderer.getClearColor(this._oldClearColor);
+    scene.overrideMaterial = null;
 
-        if (!isWboitCapable) {
-          if (!isTransparent) {
-            opaqueMeshes.push(object);
-
-            for (let i = 0; i < materials.length; i++) {
-              materials[i].depthTest = true;
-              materials[i].depthWrite = true;
-            }
-          } else {
-            transparentMeshes.push(object);
-
-            for (let i = 0; i < materials.length; i++) {
-              materials[i].depthTest = true;
-              materials[i].depthWrite = false;
-            }
-          }
-        } else {
-          wboitMeshes.push(object);
-
-          for (let i = 0; i < materials.length; i++) {
-            blendingCache.set(materials[i], materials[i].blending);
-            blendEquationCache.set(materials[i], materials[i].blendEquation);
-            blendSrcCache.set(materials[i], materials[i].blendSrc);
-            blendDstCache.set(materials[i], materials[i].blendDst);
-          }
-        }
+    // Classify Added / Changed Objects
+    this.registry.attach(scene);
+    this.registry.update();
+
+    // Renderer statistics add up over the internal renders, stages count their difference
+    if (oldInfoAutoReset) renderer.info.reset();
+    renderer.info.autoReset = false;
+    this._updateInfo();
+
+    const weightFunctionIndex = WboitWeights.getIndex(this.weightFunction);
+    this._weightFunctionIndex =
+      weightFunctionIndex !== -1 ? weightFunctionIndex : 0;
+
+    // WebXR, scene renders use the stereo camera of the XR manager and the output is its
+    // framebuffer. The XR manager is disabled meanwhile so full screen passes keep their camera.
+    this._output = writeBuffer;
+    this._renderCamera = this.camera;
+
+    if (xrPresenting) {
+      if (xr.cameraAutoUpdate === true) xr.updateCamera(this.camera);
+      this._renderCamera = xr.getCamera();
+      this._output = writeBuffer || oldRenderTarget;
+      xr.enabled = false;
+    }
+
+    const output = this._output;
+    let restoreOutput = null;
+    let restoreShadowMap = null;
+    let restoreRenderLists = null;
+
+    try {
+      // Objects are sorted into opaque / transparent / WBOIT while the renderer builds render lists
+      restoreRenderLists = this._hookRenderLists(renderer);
+
+      // Shadow maps are rendered with the opaque objects
+      restoreShadowMap = this._hookShadowMap(renderer);
 
-        cache.set(object, object.visible);
-      });
+      // Clear Write Buffer
+      if (this.clearColor) {
+        renderer.setRenderTarget(output);
+        renderer.setClearColor(this.clearColor, this.clearAlpha);
+        renderer.clearColor();
+      }
+
+      // Internal targets match the output pixel for pixel (XR framebuffers have a size of their own)
+      if (output && output.isXRRenderTarget) {
+        this._updateTargets(output.width, output.height);
+      } else {
+        this._updateTargets();
+      }
+
+      this._updateRegion(renderer, output);
+
+      const debugView = this._getDebugView();
+
+      if (debugView === "classification") {
+        // Debug View, nearest object of each pixel in the color of its category
+        renderer.setRenderTarget(output);
+        renderer.setClearColor(_clearColorZero, 1.0);
+        renderer.clear();
+        this._renderPhase(renderer, RenderPhase.Classification);
+        return;
+      }
+
+      // Render Opaque Objects (fills shared depth texture)
+      renderer.setRenderTarget(this.baseTarget);
+      renderer.setClearColor(_clearColorZero, 0.0);
+      renderer.clear();
+      this._renderPhase(renderer, RenderPhase.Opaque);
+
+      // Shadows and background are drawn once, with the opaque objects
+      renderer.shadowMap.autoUpdate = false;
+      renderer.autoClearColor = false;
+      renderer.autoClearDepth = false;
+      renderer.autoClearStencil = false;
+
+      // Render Transparent Objects (over opaque objects, without writing depth)
+      this._renderPhase(renderer, RenderPhase.Transparent);
+
+      // Back faces of volumes, WBOIT stages read their thickness
+      this._renderThickness(renderer);
+
+      // Full screen passes cover the output, clipped to the region
+      restoreOutput = this._setOutputViewport(renderer, output);
+
+      if (debugView !== "none") {
+        // Debug View, contents of WBOIT targets
+        this._renderDebug(renderer, output, debugView);
+      } else {
+        // Render Wboit Objects, composite everything into write buffer
+        this._renderWboit(renderer, output);
+      }
+    } finally {
+      // Restore Original State
+      this._endStage(renderer);
+      this._updateTargetInfo();
+      this._releaseTargets();
+      if (restoreOutput) restoreOutput();
+      if (xrPresenting) xr.enabled = true;
+      this._output = null;
+      this._renderCamera = this.camera;
+      this._phase = RenderPhase.None;
+      this._combinedRender = false;
+      this._exactLayers = 0;
+      this._peelDepth = null;
+      this._volumeChannels.clear();
+      this._awaitingRenderList = false;
+      if (restoreRenderLists) restoreRenderLists();
+      if (restoreShadowMap) restoreShadowMap();
+      this._resetWboitMaterials();
+      renderer.setRenderTarget(oldRenderTarget);
+      renderer.setClearColor(this._oldClearColor, oldClearAlpha);
+      scene.overrideMaterial = oldOverrideMaterial;
+      renderer.autoClear = oldAutoClear;
+      renderer.autoClearColor = oldAutoClearColor;
+      renderer.autoClearDepth = oldAutoClearDepth;
+      renderer.autoClearStencil = oldAutoClearStencil;
+      renderer.shadowMap.autoUpdate = oldShadowAutoUpdate;
+      renderer.info.autoReset = oldInfoAutoReset;
     }
+  }
 
-    function changeVisible(
-      opaqueVisible = true,
-      transparentVisible = true,
-      wboitVisible = true
-    ) {
-      opaqueMeshes.forEach((mesh) => (mesh.visible = opaqueVisible));
-      transparentMeshes.forEach((mesh) => (mesh.visible = transparentVisible));
-      wboitMeshes.forEach((mesh) => (mesh.visible = wboitVisible));
+  /**
+   * Renders visible WBOIT objects, then composites them with the opaque and transparent render
+   * of baseTarget over writeBuffer
+   */
+  _renderWboit(renderer, writeBuffer) {
+    const colored = this.coloredTransmission === true;
+    const exactLayers = this._getExactLayers();
+
+    // Hybrid Mode, front layers are peeled, WBOIT stages accumulate what is behind them
+    if (exactLayers > 0) {
+      this._exactLayers = exactLayers;
+      this._peelDepth = this._renderPeelLayers(renderer, exactLayers);
     }
 
-    function resetVisible() {
-      for (const [key, value] of cache) {
-        key.visible = value;
+    const textures = this._renderWboitTargets(renderer, colored);
 
-        if (key.material) {
-          const materials = Array.isArray(key.material)
-            ? key.material
-            : [key.material];
+    this._exactLayers = 0;
+    this._peelDepth = null;
 
-          for (let i = 0; i < materials.length; i++) {
-            materials[i].depthWrite = testCache.get(materials[i]);
-            materials[i].depthTest = writeCache.get(materials[i]);
-          }
-        }
-      }
+    for (const name in textures) {
+      this.compositePass.uniforms[name].value = textures[name];
     }
 
-    function prepareWboitBlending(stage) {
-      wboitMeshes.forEach((mesh) => {
-        const materials = Array.isArray(mesh.material)
-          ? mesh.material
-          : [mesh.material];
-
-        for (let i = 0; i < materials.length; i++) {
-          if (
-            materials[i].wboitEnabled !== true ||
-            materials[i].transparent !== true
-          )
-            continue;
-
-          if (materials[i].renderStage) {
-            materials[i].renderStage = stage;
-          } else if (
-            materials[i].uniforms &&
-            materials[i].uniforms["renderStage"]
-          ) {
-            materials[i].uniforms["renderStage"].value = stage.toFixed(1);
-          }
+    this._setUpsampleUniforms(this.compositePass.uniforms);
+    this._setUpsampleUniforms(this.transmissionPass.uniforms);
+    this._setExactUniforms(this.compositePass.uniforms, exactLayers);
+    this._setExactUniforms(this.transmissionPass.uniforms, exactLayers);
 
-          switch (stage) {
-            case WboitStages.Acummulation:
-              materials[i].blending = CustomBlending;
-              materials[i].blendEquation = AddEquation;
-              materials[i].blendSrc = OneFactor;
-              materials[i].blendDst = OneFactor;
-              materials[i].depthWrite = false;
-              materials[i].depthTest = true;
-
-              break;
-
-            case WboitStages.Revealage:
-              materials[i].blending = CustomBlending;
-              materials[i].blendEquation = AddEquation;
-              materials[i].blendSrc = ZeroFactor;
-              materials[i].blendDst = OneMinusSrcAlphaFactor;
-              materials[i].depthWrite = false;
-              materials[i].depthTest = true;
-
-              break;
-
-            default:
-              materials[i].blending = blendingCache.get(materials[i]);
-              materials[i].blendEquation = blendEquationCache.get(materials[i]);
-              materials[i].blendSrc = blendSrcCache.get(materials[i]);
-              materials[i].blendDst = blendDstCache.get(materials[i]);
-          }
-        }
-      });
+    this._beginStage(renderer, "composite");
+
+    // Colored Transmission, multiply background by transmission (composite is then added)
+    if (colored) {
+      this.transmissionPass.uniforms["tScene"].value = this.baseTarget.texture;
+      this.transmissionPass.uniforms["tRevealage"].value =
+        this.revealageTarget.texture;
+      this.transmissionPass.render(renderer, writeBuffer);
     }
 
-    // Save Current State
-    const oldAutoClear = renderer.autoClear;
-    const oldClearAlpha = renderer.getClearAlpha();
-    const oldRenderTarget = renderer.getRenderTarget();
-    const oldOverrideMaterial = scene.overrideMaterial;
-    renderer.autoClear = false;
-    renderer.getClearColor(this._oldClearColor);
-    scene.overrideMaterial = null;
+    // Composite Scene & Wboit Objects
+    this.compositePass.uniforms["tScene"].value = this.baseTarget.texture;
+    this.compositePass.uniforms["uColoredTransmission"].value = colored ? 1 : 0;
+    this.compositePass.material.blendDst = colored
+      ? OneFactor
+      : OneMinusSrcAlphaFactor;
 
-    // Gather Opaque / Transparent Meshes
-    gatherMeshes();
+    if (this._useFxaa()) {
+      // Composite over transparent black (linear, edgeTarget is a render target), anti-aliased
+      // result is converted for output and blended like the composite
+      const edgeTarget = this._getEdgeTarget();
 
-    // Clear Write Buffer
-    if (this.clearColor) {
-      renderer.setRenderTarget(writeBuffer);
-      renderer.setClearColor(this.clearColor, this.clearAlpha);
+      renderer.setRenderTarget(edgeTarget);
+      renderer.setClearColor(_clearColorZero, 0.0);
       renderer.clearColor();
+      this.compositePass.render(renderer, edgeTarget);
+
+      this.fxaaPass.uniforms["resolution"].value.set(
+        1 / edgeTarget.width,
+        1 / edgeTarget.height
+      );
+      this.fxaaPass.material.blendDst = this.compositePass.material.blendDst;
+      this.fxaaPass.render(renderer, writeBuffer, edgeTarget);
+    } else {
+      renderer.setRenderTarget(writeBuffer);
+      this.compositePass.render(renderer, writeBuffer);
     }
 
-    // Render Opaque Objects
-    changeVisible(true, false, false);
-    renderer.setRenderTarget(this.baseTarget);
-    renderer.setClearColor(_clearColorZero, 0.0);
-    renderer.clear();
-    renderer.render(scene, this.camera);
-
-    // Gamma Correction
-    this.opaquePass.material.uniforms["uGamma"].value =
-      renderer.outputColorSpace === SRGBColorSpace ? 1 : 0;
-    this.transparentPass.material.uniforms["uGamma"].value =
-      renderer.outputColorSpace === SRGBColorSpace ? 1 : 0;
-    this.compositePass.material.uniforms["uGamma"].value =
-      renderer.outputColorSpace === SRGBColorSpace ? 1 : 0;
-
-    // Copy 'Opaque Render' to write buffer so we can re-use depth buffer
-    this.opaquePass.render(renderer, writeBuffer, this.baseTarget);
-
-    // Render Transparent Objects
-    changeVisible(false, true, false);
-    renderer.setRenderTarget(this.baseTarget);
-    renderer.clearColor();
-    renderer.render(scene, this.camera);
+    this._endStage(renderer);
+  }
+
+  /**
+   * Renders visible WBOIT objects into the accumulation and revealage targets, returns their
+   * textures as uniforms of WboitCompositeShader
+   */
+  _renderWboitTargets(renderer, colored) {
+    this._filledDepthTexture = null;
+
+    if (
+      this.multipleRenderTargets === true &&
+      this.multipleTarget &&
+      colored === false
+    ) {
+      // Render Wboit Objects, Accumulation & Revealage in a single pass
+      this._combinedRender = true;
+      this._separateMaterials = false;
+
+      renderer.setRenderTarget(this.multipleTarget);
+      renderer.setClearColor(_clearColorZero, 1.0);
+      this._clearWboitTarget(renderer);
+      this._renderWboitStage(renderer, WboitStages.Combined);
+
+      const textures = getTextures(this.multipleTarget);
+
+      // Objects whose shaders lack the second output (see hasMultipleOutputs) are rendered per
+      // stage and merged into the combined targets
+      if (this._separateMaterials) {
+        this._renderSeparateTargets(renderer);
+
+        this.mergePass.uniforms["tAccumulation"].value =
+          this.accumulationTarget.texture;
+        this.mergePass.uniforms["tRevealage"].value =
+          this.revealageTarget.texture;
+
+        this._beginStage(renderer, "composite");
+        this.mergePass.render(renderer, this.multipleTarget);
+        this._endStage(renderer);
+      }
 
-    // Copy 'Transparent Render' to write buffer so we can re-use depth buffer
-    this.transparentPass.render(renderer, writeBuffer, this.baseTarget);
+      this._combinedRender = false;
 
-    // Render Wboit Objects, Accumulation Pass (copy render to write buffer so we can re-use depth buffer)
-    changeVisible(false, false, true);
-    prepareWboitBlending(WboitStages.Acummulation);
-    renderer.setRenderTarget(this.baseTarget);
-    renderer.clearColor();
-    renderer.render(scene, this.camera);
-    this.copyPass.render(renderer, this.accumulationTarget, this.baseTarget);
+      return {
+        tAccumulation: textures[0],
+        tRevealage: textures[1],
+        uMultipleRenderTargets: 1,
+      };
+    }
+
+    this._renderSeparateTargets(renderer);
+
+    return {
+      tAccumulation: this.accumulationTarget.texture,
+      tRevealage: this.revealageTarget.texture,
+      uMultipleRenderTargets: 0,
+    };
+  }
+
+  // Renders WBOIT objects into accumulationTarget and revealageTarget, one stage each
+  _renderSeparateTargets(renderer) {
+    // Render Wboit Objects, Accumulation Pass
+    renderer.setRenderTarget(this.accumulationTarget);
+    renderer.setClearColor(_clearColorZero, 0.0);
+    this._clearWboitTarget(renderer);
+    this._renderWboitStage(renderer, WboitStages.Acummulation);
 
     // Render Wboit Objects, Revealage Pass
-    prepareWboitBlending(WboitStages.Revealage);
-    renderer.setRenderTarget(this.baseTarget);
+    renderer.setRenderTarget(this.revealageTarget);
     renderer.setClearColor(_clearColorOne, 1.0);
+    this._clearWboitTarget(renderer);
+    this._renderWboitStage(renderer, WboitStages.Revealage);
+  }
+
+  /**
+   * Peels 'layerCount' layers of WBOIT objects front to back and blends them into peelTarget
+   * (premultiplied color, alpha holds the remaining transmittance). Returns the depth texture of
+   * the last layer.
+   */
+  _renderPeelLayers(renderer, layerCount) {
+    const gl = this._gl;
+
+    this._acquirePeelTargets();
+
+    renderer.setRenderTarget(this.peelTarget);
+    renderer.setClearColor(_clearColorZero, 1.0);
     renderer.clearColor();
-    renderer.render(scene, this.camera);
 
-    // Composite Wboit Objects
+    layerCount = this._getLayerCount(layerCount);
+
+    for (let layer = 0; layer < layerCount; layer++) {
+      const layerTarget = this.layerTargets[layer % 2];
+
+      // Render nearest fragments behind previous layer
+      this._peelDepth =
+        layer > 0 ? this.layerTargets[(layer + 1) % 2].depthTexture : null;
+
+      renderer.setRenderTarget(layerTarget);
+      renderer.setClearColor(_clearColorZero, 0.0);
+      renderer.clear();
+
+      const queryStarted = this._beginLayerQuery(layer);
+      this._renderWboitStage(renderer, WboitStages.Peel);
+      if (queryStarted) gl.endQuery(gl.ANY_SAMPLES_PASSED_CONSERVATIVE);
+
+      // Blend layer behind all previous layers
+      this._beginStage(renderer, "composite");
+      this.layerPass.render(renderer, this.peelTarget, layerTarget);
+      this._endStage(renderer);
+    }
+
+    this._peelDepth = null;
+
+    return this.layerTargets[(layerCount - 1) % 2].depthTexture;
+  }
+
+  /**
+   * Number of layers to peel this frame, at most 'maxLayers' (at least 1). With WebGL 2, peeling
+   * stops after the first layer that produced no fragments (occlusion query results arrive a
+   * frame or more late).
+   */
+  _getLayerCount(maxLayers) {
+    maxLayers = Math.max(1, Math.floor(maxLayers) || 1);
+
+    if (!this._isWebGL2) return maxLayers;
+
+    const gl = this._gl;
+
+    for (let i = 0; i < this._queries.length; i++) {
+      const entry = this._queries[i];
+      if (!entry.pending) continue;
+
+      if (gl.getQueryParameter(entry.query, gl.QUERY_RESULT_AVAILABLE)) {
+        entry.empty = !gl.getQueryParameter(entry.query, gl.QUERY_RESULT);
+        entry.pending = false;
+      }
+    }
+
+    for (let i = 0; i < maxLayers && i < this._queries.length; i++) {
+      if (this._queries[i].empty) return i + 1;
+    }
+
+    return maxLayers;
+  }
+
+  _beginLayerQuery(layer) {
+    if (!this._isWebGL2) return false;
+
+    const gl = this._gl;
+
+    if (!this._queries[layer]) {
+      this._queries[layer] = {
+        query: gl.createQuery(),
+        pending: false,
+        empty: false,
+      };
+    }
+
+    const entry = this._queries[layer];
+    if (entry.pending) return false;
+
+    gl.beginQuery(gl.ANY_SAMPLES_PASSED_CONSERVATIVE, entry.query);
+    entry.pending = true;
+
+    return true;
+  }
+
+  /**
+   * Renders the back faces of the visible WBOIT objects with a volume into thicknessTarget, if
+   * 'thicknessPass' is enabled. Each volume writes the inverse distance of its back faces into a
+   * channel of its own, so WBOIT stages measure the thickness of a fragment against the back faces
+   * of its own object and nested volumes (organs inside skin) do not count for one another. The
+   * 4 nearest volumes in view share a single render and target, others keep their constant
+   * 'thickness'.
+   */
+  _renderThickness(renderer) {
+    if (this.thicknessPass !== true || !this._thicknessType) return;
+
+    const camera = this._renderCamera;
+    const volumes = [];
+
+    _projScreenMatrix.multiplyMatrices(
+      camera.projectionMatrix,
+      camera.matrixWorldInverse
+    );
+    _frustum.setFromProjectionMatrix(_projScreenMatrix);
+    _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+
+    for (const object of this.registry.wboit) {
+      if (!isRendered(object) || !camera.layers.test(object.layers)) continue;
+      if (object.frustumCulled && !_frustum.intersectsObject(object)) continue;
+
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+
+      const volume = materials.some(
+        (material) =>
+          hasVolume(material) &&
+          this.registry.getCategory(material, object) === "wboit"
+      );
+
+      if (volume) volumes.push(object);
+    }
+
+    if (volumes.length === 0) return;
+
+    if (volumes.length > _volumeChannels.length && !this._volumeLimitWarned) {
+      console.warn(
+        `WboitPass: The thickness pass measures the ${_volumeChannels.length} nearest volumes, farther volumes use their constant 'thickness'.`
+      );
+      this._volumeLimitWarned = true;
+    }
+
+    volumes
+      .map((object) => ({
+        object,
+        distance: _objectPosition
+          .setFromMatrixPosition(object.matrixWorld)
+          .distanceToSquared(_cameraPosition),
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, _volumeChannels.length)
+      .forEach(({ object }, i) =>
+        this._volumeChannels.set(object, _volumeChannels[i])
+      );
+
+    this.thicknessTarget = this._acquireTarget({ type: this._thicknessType });
+
+    renderer.setRenderTarget(this.thicknessTarget);
+    renderer.setClearColor(_clearColorZero, 0.0);
+    renderer.clear();
+    this._renderPhase(renderer, RenderPhase.Thickness);
+  }
+
+  // Validated 'exactLayers', the hybrid mode peels against depth textures
+  _getExactLayers() {
+    const layers = Math.max(0, Math.floor(this.exactLayers) || 0);
+    if (layers === 0) return 0;
+
+    if (!this.baseTarget.depthTexture) {
+      if (!this._invalidExactLayers) {
+        console.error("WboitPass: Depth textures are not supported!");
+        this._invalidExactLayers = true;
+      }
+
+      return 0;
+    }
+
+    return layers;
+  }
+
+  _setExactUniforms(uniforms, exactLayers) {
+    uniforms["tExact"].value = exactLayers > 0 ? this.peelTarget.texture : null;
+    uniforms["uExact"].value = exactLayers > 0 ? 1 : 0;
+  }
+
+  /**
+   * Renders the WBOIT targets of 'debugView' into writeBuffer, weight and overdraw are rendered
+   * into accumulationTarget
+   */
+  _renderDebug(renderer, writeBuffer, debugView) {
+    let textures;
+
+    if (debugView === "weight" || debugView === "overdraw") {
+      this._filledDepthTexture = null;
+
+      renderer.setRenderTarget(this.accumulationTarget);
+      renderer.setClearColor(_clearColorZero, 0.0);
+      this._clearWboitTarget(renderer);
+      this._renderWboitStage(
+        renderer,
+        debugView === "weight" ? WboitStages.Weight : WboitStages.Overdraw
+      );
+
+      textures = {
+        tAccumulation: this.accumulationTarget.texture,
+        tRevealage: this.revealageTarget.texture,
+        uMultipleRenderTargets: 0,
+      };
+    } else {
+      textures = this._renderWboitTargets(renderer, false);
+    }
+
+    for (const name in textures) {
+      this.debugPass.uniforms[name].value = textures[name];
+    }
+
+    this.debugPass.uniforms["uDebugView"].value =
+      _debugViews.indexOf(debugView);
+
+    this._beginStage(renderer, "composite");
     renderer.setRenderTarget(writeBuffer);
-    this.compositePass.uniforms["tAccumulation"].value =
-      this.accumulationTarget.texture;
-    this.compositePass.uniforms["tRevealage"].value =
-      this.baseTarget.texture; /* now holds revealage render */
-    this.compositePass.render(renderer, writeBuffer);
-
-    // Restore Original State
-    prepareWboitBlending(WboitStages.Normal);
-    resetVisible();
-    renderer.setRenderTarget(oldRenderTarget);
-    renderer.setClearColor(this._oldClearColor, oldClearAlpha);
-    scene.overrideMaterial = oldOverrideMaterial;
-    renderer.autoClear = oldAutoClear;
-
-    // Clear Caches
-    cache.clear();
-    blendingCache.clear();
-    blendEquationCache.clear();
-    blendSrcCache.clear();
-    blendDstCache.clear();
-    testCache.clear();
-    writeCache.clear();
+    this.debugPass.render(renderer, writeBuffer);
+    this._endStage(renderer);
+  }
+
+  // Validated 'debugView', unknown views render the final image
+  _getDebugView() {
+    if (_debugViews.includes(this.debugView)) return this.debugView;
+
+    if (this._invalidDebugView !== this.debugView) {
+      console.error(`WboitPass: Unknown debug view '${this.debugView}'!`);
+      this._invalidDebugView = this.debugView;
+    }
+
+    return "none";
   }
+
+  /**
+   * Material drawing 'object' (with 'material') in the classification or overdraw debug 'view'.
+   * Debug materials match the type of the object, so points, lines and sprites cover the pixels
+   * they cover in the final image. Kept with the stage materials of 'material'.
+   */
+  _getDebugMaterial(view, material, object, category) {
+    const stageMaterials = this._getStageMaterials(material);
+    const type = getObjectType(object);
+    const key = `${view}:${type}:${category}`;
+
+    if (!stageMaterials[key]) {
+      stageMaterials[key] = createDebugMaterial(type);
+
+      if (view === "overdraw") {
+        Object.assign(stageMaterials[key], _overdrawSettings);
+        stageMaterials[key].color.setScalar(_overdrawSettings.opacity);
+      } else {
+        stageMaterials[key].color.set(_classificationColors[category]);
+      }
+    }
+
+    const debugMaterial = stageMaterials[key];
+
+    for (const name of _debugProperties) {
+      if (!(name in debugMaterial) || material[name] === undefined) continue;
+      if (debugMaterial[name] === material[name]) continue;
+
+      debugMaterial[name] = material[name];
+      if (name === "sizeAttenuation") debugMaterial.needsUpdate = true;
+    }
+
+    return debugMaterial;
+  }
+
+  // Sample count applied to internal targets
+  _getSamples() {
+    const samples = Math.max(0, Math.floor(this.samples) || 0);
+    return Math.min(samples, this._maxSamples);
+  }
+
+  _useFxaa() {
+    return this.fxaa === true && this._getSamples() === 0;
+  }
+
+  _getEdgeTarget() {
+    if (!this.edgeTarget) {
+      this.edgeTarget = this._acquireTarget({ filter: LinearFilter });
+    }
+
+    return this.edgeTarget;
+  }
+
+  /**
+   * Acquires a target of the size and type of baseTarget from the pool (see
+   * WboitTargetPool.acquire), clipped to the region. It is released at the end of the render.
+   */
+  _acquireTarget(settings) {
+    const target = this._targetPool.acquire(
+      this.baseTarget.width,
+      this.baseTarget.height,
+      Object.assign({ type: this.baseTarget.texture.type }, settings)
+    );
+
+    this._clipToRegion(target);
+
+    return target;
+  }
+
+  // Returns the pooled targets of this render
+  _releaseTargets() {
+    const pool = this._targetPool;
+
+    if (this.edgeTarget) pool.release(this.edgeTarget);
+    this.layerTargets.forEach((target) => pool.release(target));
+    if (this.peelTarget) pool.release(this.peelTarget);
+    if (this.thicknessTarget) pool.release(this.thicknessTarget);
+
+    this.edgeTarget = null;
+    this.layerTargets = [];
+    this.peelTarget = null;
+    this.thicknessTarget = null;
+  }
+
+  /**
+   * Applies size ('setSize' by default) and 'samples' to the internal targets, and sizes the WBOIT
+   * targets for 'resolutionScale'. Full resolution targets share the opaque depth of baseTarget, reduced
+   * resolution targets share a depth texture of their own. Multisampled WBOIT targets depth test
+   * against their own multisampled depth, at full resolution they have no depth texture.
+   */
+  _updateTargets(fullWidth = this._width, fullHeight = this._height) {
+    const samples = this._getSamples();
+
+    if (this.baseTarget.samples !== samples) {
+      this.baseTarget.samples = samples;
+      this.baseTarget.dispose();
+    }
+
+    this.baseTarget.setSize(fullWidth, fullHeight);
+
+    const scale =
+      this.resolutionScale > 0 ? Math.min(this.resolutionScale, 1) : 1;
+    const width = Math.max(1, Math.round(fullWidth * scale));
+    const height = Math.max(1, Math.round(fullHeight * scale));
+    const reduced = width !== fullWidth || height !== fullHeight;
+
+    let depthTexture = this.baseTarget.depthTexture;
+
+    if (!reduced && samples > 0) {
+      depthTexture = null;
+    } else if (reduced && depthTexture) {
+      if (!this._wboitDepthTexture) {
+        this._wboitDepthTexture = new DepthTexture(width, height);
+      }
+
+      depthTexture = this._wboitDepthTexture;
+    }
+
+    for (const target of [
+      this.accumulationTarget,
+      this.revealageTarget,
+      this.multipleTarget,
+    ]) {
+      if (!target) continue;
+
+      // Attachments are set up once, the target is set up again with the new depth texture
+      if (target.depthTexture !== depthTexture || target.samples !== samples) {
+        target.depthTexture = depthTexture;
+        target.samples = samples;
+        target.dispose();
+      }
+
+      target.setSize(width, height);
+    }
+  }
+
+  /**
+   * Acquires the depth peeling targets, sized like baseTarget. Layers ping-pong, each layer peels
+   * fragments behind the depth of the previous one.
+   */
+  _acquirePeelTargets() {
+    if (this.peelTarget) return;
+
+    for (let i = 0; i < 2; i++) {
+      this.layerTargets.push(this._acquireTarget({ depthTexture: true }));
+    }
+
+    // Premultiplied color of all layers, alpha holds remaining transmittance
+    this.peelTarget = this._acquireTarget({});
+  }
+
+  /**
+   * Region of the output the pass renders into, in pixels: viewport of the output (renderer for
+   * the screen, or render target) and its scissor clipped to the viewport. Internal targets are
+   * clipped to the region by their scissor.
+   */
+  _updateRegion(renderer, output) {
+    const viewport = this._viewport;
+    const scissor = this._scissor;
+    let scissorTest;
+
+    if (output) {
+      viewport.copy(output.viewport);
+      scissor.copy(output.scissor);
+      scissorTest = output.scissorTest;
+    } else {
+      const pixelRatio = renderer.getPixelRatio();
+      renderer.getViewport(viewport).multiplyScalar(pixelRatio).floor();
+      renderer.getScissor(scissor).multiplyScalar(pixelRatio).floor();
+      scissorTest = renderer.getScissorTest();
+    }
+
+    if (scissorTest) {
+      intersectRect(scissor, viewport);
+    } else {
+      scissor.copy(viewport);
+    }
+
+    const targets = this._getTargets();
+
+    for (const name in targets) {
+      this._clipToRegion(targets[name]);
+    }
+  }
+
+  // Scissor of an internal target for the output region, scaled to reduced resolution targets
+  _clipToRegion(target) {
+    scaleRect(
+      target.scissor,
+      this._scissor,
+      target.width / this.baseTarget.width,
+      target.height / this.baseTarget.height,
+      true
+    );
+    target.scissorTest = true;
+  }
+
+  /**
+   * Full screen passes cover the whole output (internal targets match it pixel for pixel) and
+   * are clipped to the region by the scissor. Returns a function that restores the output.
+   */
+  _setOutputViewport(renderer, output) {
+    if (output) {
+      const viewport = output.viewport.clone();
+      const scissor = output.scissor.clone();
+      const scissorTest = output.scissorTest;
+
+      output.viewport.set(0, 0, output.width, output.height);
+      output.scissor.copy(this._scissor);
+      output.scissorTest = true;
+
+      return () => {
+        output.viewport.copy(viewport);
+        output.scissor.copy(scissor);
+        output.scissorTest = scissorTest;
+      };
+    }
+
+    // Renderer viewport and scissor are in CSS pixels
+    const pixelRatio = renderer.getPixelRatio();
+    const viewport = renderer.getViewport(new Vector4());
+    const scissor = renderer.getScissor(new Vector4());
+    const scissorTest = renderer.getScissorTest();
+    const size = renderer.getSize(new Vector2());
+
+    renderer.setViewport(0, 0, size.width, size.height);
+    renderer.setScissor(this._scissor.clone().multiplyScalar(1 / pixelRatio));
+    renderer.setScissorTest(true);
+
+    return () => {
+      renderer.setViewport(viewport);
+      renderer.setScissor(scissor);
+      renderer.setScissorTest(scissorTest);
+    };
+  }
+
+  /**
+   * Scene renders into an internal target use the viewport of the output region, scaled to the
+   * target. Sub-cameras (ArrayCamera, WebXR) bring their own viewports in pixels of the output,
+   * they are scaled for reduced resolution targets. Returns a function that restores them.
+   */
+  _setSceneViewport(renderer) {
+    const target = renderer.getRenderTarget();
+    if (!target || target === this._output) return null;
+
+    const scaleX = target.width / this.baseTarget.width;
+    const scaleY = target.height / this.baseTarget.height;
+
+    scaleRect(target.viewport, this._viewport, scaleX, scaleY);
+    renderer.setRenderTarget(target);
+
+    const camera = this._renderCamera;
+    const cameras =
+      camera.isArrayCamera && (scaleX !== 1 || scaleY !== 1)
+        ? camera.cameras
+        : [];
+    const viewports = cameras.map((subCamera) => subCamera.viewport.clone());
+
+    cameras.forEach((subCamera) =>
+      scaleRect(subCamera.viewport, subCamera.viewport, scaleX, scaleY)
+    );
+
+    return () => {
+      // Full screen passes set the target again, with its full viewport
+      target.viewport.set(0, 0, target.width, target.height);
+      cameras.forEach((subCamera, i) => subCamera.viewport.copy(viewports[i]));
+    };
+  }
+
+  _setUpsampleUniforms(uniforms) {
+    const target = this.accumulationTarget;
+    const reduced =
+      target.width !== this.baseTarget.width ||
+      target.height !== this.baseTarget.height;
+
+    // Depth aware when both opaque depths are available as textures
+    const depthAware = reduced && Boolean(target.depthTexture);
+
+    uniforms["uUpsample"].value = reduced ? (depthAware ? 2 : 1) : 0;
+    uniforms["uWboitResolution"].value.set(target.width, target.height);
+    uniforms["tDepth"].value = depthAware ? this.baseTarget.depthTexture : null;
+    uniforms["tWboitDepth"].value = depthAware ? target.depthTexture : null;
+  }
+
+  // Clears color of the current WBOIT target. Opaque depth is shared with baseTarget, or rendered
+  // once per frame into targets with their own depth. Multisampled targets always render it,
+  // their depth texture only receives the resolved depth.
+  _clearWboitTarget(renderer) {
+    const target = renderer.getRenderTarget();
+    const depthTexture = target.depthTexture;
+
+    if (
+      target.samples === 0 &&
+      depthTexture &&
+      (depthTexture === this.baseTarget.depthTexture ||
+        depthTexture === this._filledDepthTexture)
+    ) {
+      renderer.clearColor();
+    } else {
+      renderer.clear();
+      this._renderPhase(renderer, RenderPhase.Depth);
+      this._filledDepthTexture = depthTexture || null;
+    }
+  }
+
+  _renderPhase(renderer, phase) {
+    this._phase = phase;
+    this._beginStage(
+      renderer,
+      phase === RenderPhase.Wboit
+        ? _stageNames[this._wboitStage]
+        : _phaseNames[phase]
+    );
+
+    const restoreViewport = this._setSceneViewport(renderer);
+
+    this._awaitingRenderList = true;
+    renderer.render(this.scene, this._renderCamera);
+    this._awaitingRenderList = false;
+
+    if (restoreViewport) restoreViewport();
+
+    this._endStage(renderer);
+    this._phase = RenderPhase.None;
+  }
+
+  /**
+   * Starts counting draw calls (and measuring GPU time) of the stage 'name', until _endStage()
+   */
+  _beginStage(renderer, name) {
+    this._stage = name;
+    this._stageCalls = renderer.info.render.calls;
+
+    if (this.gpuTiming === true) this._timer.begin(name);
+  }
+
+  _endStage(renderer) {
+    if (this._stage === null) return;
+
+    const calls = this.info.calls;
+    calls[this._stage] =
+      (calls[this._stage] || 0) + renderer.info.render.calls - this._stageCalls;
+
+    this._timer.end();
+    this._stage = null;
+  }
+
+  // Starts the statistics of a new frame
+  _updateInfo() {
+    const info = this.info;
+
+    info.frame++;
+    info.objects.opaque = this.registry.opaque.size;
+    info.objects.transparent = this.registry.transparent.size;
+    info.objects.wboit = this.registry.wboit.size;
+    info.calls = {};
+
+    const timings = this._timer.update(info.frame);
+
+    if (timings) {
+      info.gpu.frame = timings.frame;
+      info.gpu.stages = timings.stages;
+    }
+  }
+
+  // Internal targets of the render, pooled targets are only known once they were used
+  _updateTargetInfo() {
+    const info = this.info;
+    const targets = this._getTargets();
+
+    info.targets = {};
+
+    for (const name in targets) {
+      const target = targets[name];
+      const texture = getTextures(target)[0];
+
+      info.targets[name] = {
+        width: target.width,
+        height: target.height,
+        type: Object.keys(_precisionTypes).find(
+          (precision) => _precisionTypes[precision] === texture.type
+        ),
+        samples: target.samples,
+      };
+    }
+  }
+
+  // Internal render targets by name, for 'info'
+  _getTargets() {
+    const targets = {
+      base: this.baseTarget,
+      accumulation: this.accumulationTarget,
+      revealage: this.revealageTarget,
+    };
+
+    if (this.multipleTarget) targets.multiple = this.multipleTarget;
+    if (this.edgeTarget) targets.edge = this.edgeTarget;
+    this.layerTargets.forEach((target, i) => (targets[`layer${i}`] = target));
+    if (this.peelTarget) targets.peel = this.peelTarget;
+    if (this.thicknessTarget) targets.thickness = this.thicknessTarget;
+
+    return targets;
+  }
+
+  _renderWboitStage(renderer, stage) {
+    this._wboitStage = stage;
+    this._renderPhase(renderer, RenderPhase.Wboit);
+  }
+
+  /**
+   * Hooks the render list the renderer gets for each render of a phase. Render lists depend on
+   * the depth of nested render calls (on the camera in older three.js), so a pass rendering from
+   * within another render uses a list of its own. Returns a function that removes the hooks.
+   */
+  _hookRenderLists(renderer) {
+    const pass = this;
+    const renderLists = renderer.renderLists;
+    const get = renderLists.get;
+    const restoreRenderLists = new Map();
+
+    renderLists.get = function (scene) {
+      const renderList = get.apply(this, arguments);
+
+      // First list of the render call of a phase, nested renders of the scene keep theirs
+      if (pass._awaitingRenderList && scene === pass.scene) {
+        pass._awaitingRenderList = false;
+
+        if (!restoreRenderLists.has(renderList)) {
+          restoreRenderLists.set(renderList, pass._hookRenderList(renderList));
+        }
+      }
+
+      return renderList;
+    };
+
+    return () => {
+      renderLists.get = get;
+      restoreRenderLists.forEach((restore) => restore());
+    };
+  }
+
+  /**
+   * Filters the render list of the scene to the objects of the current phase once the renderer
+   * has filled it, user objects and materials are left untouched. Returns a function that
+   * removes the hook.
+   */
+  _hookRenderList(renderList) {
+    const finish = renderList.finish;
+    const unshift = renderList.unshift;
+
+    renderList.finish = () => {
+      finish();
+
+      if (this._phase === RenderPhase.None) return;
+
+      filterRenderItems(renderList.opaque, this._filterMaterial);
+      filterRenderItems(renderList.transmissive, this._filterMaterial);
+      filterRenderItems(renderList.transparent, this._filterMaterial);
+    };
+
+    // Background is drawn with the opaque objects only
+    renderList.unshift = (...args) => {
+      if (this._phase <= RenderPhase.Opaque) unshift(...args);
+    };
+
+    return () => {
+      renderList.finish = finish;
+      renderList.unshift = unshift;
+    };
+  }
+
+  /**
+   * Material to draw a render list item ('material' of 'object') with during the current phase,
+   * or null to skip the item. The category of the object decides the phase, so objects sharing a
+   * material can render in different phases.
+   */
+  _getPhaseMaterial(material, object) {
+    const category = this.registry.getCategory(material, object);
+
+    switch (this._phase) {
+      case RenderPhase.Opaque:
+        if (category !== "opaque") return null;
+
+        return material.transparent || WboitUtils.getUniforms(material)
+          ? this._getStageMaterial(material, "opaque", object)
+          : material;
+
+      case RenderPhase.Depth:
+        return category === "opaque"
+          ? this._getStageMaterial(material, "depth", object)
+          : null;
+
+      case RenderPhase.Transparent:
+        return category === "transparent"
+          ? this._getStageMaterial(material, "transparent", object)
+          : null;
+
+      case RenderPhase.Classification:
+        return this._getDebugMaterial(
+          "classification",
+          material,
+          object,
+          category
+        );
+
+      case RenderPhase.Thickness:
+        return category === "wboit" &&
+          hasVolume(material) &&
+          this._volumeChannels.has(object)
+          ? this._getStageMaterial(material, WboitStages.Thickness, object)
+          : null;
+
+      case RenderPhase.Wboit:
+        // Overdraw view, sorted transparent objects add to the count
+        if (
+          category === "transparent" &&
+          this._wboitStage === WboitStages.Overdraw
+        ) {
+          return this._getDebugMaterial("overdraw", material, object, category);
+        }
+
+        if (category !== "wboit") return null;
+
+        // Combined render, shaders without the second output render the separate stages instead
+        if (this._combinedRender) {
+          const combined = hasMultipleOutputs(material);
+          if (!combined) this._separateMaterials = true;
+
+          if (combined !== (this._wboitStage === WboitStages.Combined))
+            return null;
+        }
+
+        return this._getStageMaterial(material, this._wboitStage, object);
+    }
+
+    return material;
+  }
+
+  /**
+   * Sets the WBOIT uniforms of 'material' for 'stage' of this pass. Called right before each draw
+   * of a stage material (uniforms are uploaded with the draw), so passes and renderers that share
+   * materials never see the state of one another. WBOIT materials drawn by other phases render
+   * normally ('stage' WboitStages.Normal). 'object' is the drawn object.
+   */
+  _prepareWboitMaterial(material, stage, object) {
+    const uniforms = WboitUtils.getUniforms(material);
+    if (!uniforms) return;
+
+    prepareInstanceValues(material, uniforms, object);
+    this._wboitMaterials.add(material);
+
+    if (stage === WboitStages.Normal) {
+      resetWboitUniforms(uniforms);
+      return;
+    }
+
+    const materialIndex = WboitWeights.getIndex(material.weightFunction);
+
+    uniforms["renderStage"].value = stage;
+    uniforms["weightFunctionIndex"].value =
+      materialIndex !== -1 ? materialIndex : this._weightFunctionIndex;
+    uniforms["accumulationEncoding"].value = this._accumulationEncoding;
+
+    // Depth peeling, layers are clipped against opaque depth and the previous layer (the last
+    // exact layer in the hybrid mode). Opaque depth is only bound while peeling, other stages
+    // render into targets it is attached to. Peeled layers are full resolution.
+    const peel = stage === WboitStages.Peel;
+    const target = peel ? this.baseTarget : this.accumulationTarget;
+
+    uniforms["opaqueDepth"].value = peel ? this.baseTarget.depthTexture : null;
+    uniforms["peelDepth"].value = this._peelDepth;
+    uniforms["peelResolution"].value.set(target.width, target.height);
+    uniforms["exactLayers"].value = this._exactLayers;
+    uniforms["opacityThreshold"].value = this.opacityThreshold;
+
+    // Volume absorption, 0 disables it (see hasVolume)
+    const camera = this._renderCamera.isArrayCamera
+      ? this._renderCamera.cameras[0] || this._renderCamera
+      : this._renderCamera;
+
+    uniforms["wboitAttenuationDistance"].value = hasVolume(material)
+      ? material.attenuationDistance
+      : 0;
+    if (material.attenuationColor) {
+      uniforms["wboitAttenuationColor"].value.copy(material.attenuationColor);
+    }
+    uniforms["wboitThickness"].value = material.thickness || 0;
+    const channel = this._volumeChannels.get(object);
+    uniforms["wboitBackDistance"].value = channel
+      ? this.thicknessTarget.texture
+      : null;
+    uniforms["wboitVolumeChannel"].value.set(0, 0, 0, 0);
+    if (channel) uniforms["wboitVolumeChannel"].value.copy(channel);
+    uniforms["wboitCamera"].value.set(
+      camera.near,
+      camera.far,
+      camera.isOrthographic ? 1 : 0
+    );
+  }
+
+  // Materials render normally again outside of WboitPass (and in passes rendering afterwards)
+  _resetWboitMaterials() {
+    for (const material of this._wboitMaterials) {
+      const uniforms = WboitUtils.getUniforms(material);
+      resetWboitUniforms(uniforms);
+
+      // Textures of the last drawn mesh would apply to all meshes of the material
+      uniforms["wboitInstanceTexture"].value = null;
+      uniforms["wboitUseInstanceTexture"].value = 0;
+      uniforms["wboitBackDistance"].value = null;
+      uniforms["wboitVolumeChannel"].value.set(0, 0, 0, 0);
+    }
+
+    this._wboitMaterials.clear();
+  }
+
+  /**
+   * Returns a material that draws like 'material' with the blend and depth state of 'stage'.
+   * Stage materials inherit everything else from the original material (see
+   * createStageMaterial), they share its shader program and WBOIT uniforms. Stage materials of
+   * WBOIT materials set the uniforms of 'stage' before each draw. Meshes with per-instance
+   * values and volumes of the thickness pass get stage materials of their own, so their textures
+   * and channels are uploaded with their draws.
+   */
+  _getStageMaterial(material, stage, object) {
+    const stageMaterials = this._getStageMaterials(material);
+    const ownUniforms =
+      usesInstanceTexture(material, object) ||
+      (typeof stage === "number" &&
+        hasVolume(material) &&
+        this._volumeChannels.has(object));
+    const key = ownUniforms ? stage + "/" + object.uuid : stage;
+
+    if (!stageMaterials[key]) {
+      const stageMaterial = createStageMaterial(
+        material,
+        _stageSettings[stage]
+      );
+
+      if (WboitUtils.getUniforms(material)) {
+        const pass = this;
+        const wboitStage =
+          typeof stage === "number" ? stage : WboitStages.Normal;
+
+        stageMaterial.onBeforeRender = function (
+          renderer,
+          scene,
+          camera,
+          geometry,
+          object
+        ) {
+          // Older versions of three have no Material.onBeforeRender
+          if (material.onBeforeRender) {
+            material.onBeforeRender.apply(this, arguments);
+          }
+
+          pass._prepareWboitMaterial(material, wboitStage, object);
+        };
+      }
+
+      stageMaterials[key] = stageMaterial;
+    }
+
+    return stageMaterials[key];
+  }
+
+  /**
+   * Shadow material of a WBOIT material, for point lights ('distance') or other lights. Kept with
+   * the stage materials of 'material'.
+   */
+  _getShadowMaterial(material, distance) {
+    const stageMaterials = this._getStageMaterials(material);
+    const key = distance ? "shadowDistance" : "shadowDepth";
+
+    if (!stageMaterials[key]) {
+      stageMaterials[key] = distance
+        ? new MeshDistanceWboitMaterial({ sourceMaterial: material })
+        : new MeshDepthWboitMaterial({ sourceMaterial: material });
+    }
+
+    return stageMaterials[key];
+  }
+
+  _getStageMaterials(material) {
+    let stageMaterials = this._stageMaterials.get(material);
+
+    if (!stageMaterials) {
+      stageMaterials = {};
+      this._stageMaterials.set(material, stageMaterials);
+      material.addEventListener("dispose", this._onMaterialDispose);
+    }
+
+    return stageMaterials;
+  }
+
+  /**
+   * Draws WBOIT objects that cast shadows with opacity aware shadow materials while 'renderer'
+   * renders its shadow maps, returns a function that removes the hooks again. The depth material
+   * of three.js is swapped per draw, objects are not changed.
+   */
+  _hookShadowMap(renderer) {
+    const shadowMap = renderer.shadowMap;
+
+    if (this.transparentShadows !== true || !shadowMap.enabled) {
+      return () => {};
+    }
+
+    const pass = this;
+    const render = shadowMap.render;
+    const renderBufferDirect = renderer.renderBufferDirect;
+    let shadowPass = false;
+
+    shadowMap.render = function () {
+      shadowPass = true;
+
+      try {
+        return render.apply(this, arguments);
+      } finally {
+        shadowPass = false;
+      }
+    };
+
+    renderer.renderBufferDirect = function (
+      camera,
+      scene,
+      geometry,
+      material,
+      object,
+      group
+    ) {
+      if (shadowPass) {
+        material = pass._getShadowDrawMaterial(
+          renderer,
+          material,
+          object,
+          group
+        );
+      }
+
+      return renderBufferDirect.call(
+        this,
+        camera,
+        scene,
+        geometry,
+        material,
+        object,
+        group
+      );
+    };
+
+    return () => {
+      shadowMap.render = render;
+      renderer.renderBufferDirect = renderBufferDirect;
+    };
+  }
+
+  /**
+   * Material to draw 'object' into a shadow map with, instead of 'depthMaterial' (chosen by
+   * three.js). Objects with a 'customDepthMaterial' or 'customDistanceMaterial' keep it.
+   */
+  _getShadowDrawMaterial(renderer, depthMaterial, object, group) {
+    const distance = depthMaterial.isMeshDistanceMaterial === true;
+
+    if (!distance && depthMaterial.isMeshDepthMaterial !== true) {
+      return depthMaterial;
+    }
+
+    // Also drawn: objects receiving VSM shadows
+    if (!object.castShadow) return depthMaterial;
+    if (distance ? object.customDistanceMaterial : object.customDepthMaterial) {
+      return depthMaterial;
+    }
+
+    const material = Array.isArray(object.material)
+      ? object.material[group.materialIndex]
+      : object.material;
+
+    if (!material || this.registry.getCategory(material, object) !== "wboit") {
+      return depthMaterial;
+    }
+
+    const shadowMaterial = this._getShadowMaterial(material, distance);
+
+    for (let i = 0; i < _shadowState.length; i++) {
+      shadowMaterial[_shadowState[i]] = depthMaterial[_shadowState[i]];
+    }
+
+    if (distance) {
+      // Point light of the shadow map, renderer properties of the material (newer three.js) or
+      // values on the material (older)
+      const properties = renderer.properties;
+      properties.get(shadowMaterial).light =
+        properties.get(depthMaterial).light;
+
+      if (depthMaterial.referencePosition) {
+        shadowMaterial.referencePosition.copy(depthMaterial.referencePosition);
+        shadowMaterial.nearDistance = depthMaterial.nearDistance;
+        shadowMaterial.farDistance = depthMaterial.farDistance;
+      }
+    }
+
+    return shadowMaterial;
+  }
+
+  _disposeStageMaterials(material) {
+    const stageMaterials = this._stageMaterials.get(material);
+    if (!stageMaterials) return;
+
+    material.removeEventListener("dispose", this._onMaterialDispose);
+    Object.values(stageMaterials).forEach((stageMaterial) =>
+      stageMaterial.dispose()
+    );
+
+    this._stageMaterials.delete(material);
+  }
+}
+
+function selectPrecision(capabilities, precision) {
+  if (precision === "auto") {
+    return _precisions.find((type) => capabilities.precisions[type]);
+  }
+
+  if (!_precisions.includes(precision)) {
+    console.error(`WboitPass: Unknown precision '${precision}'!`);
+    return selectPrecision(capabilities, "auto");
+  }
+
+  if (capabilities.precisions[precision]) return precision;
+
+  // Next lower precision that is supported
+  const fallback = _precisions
+    .slice(_precisions.indexOf(precision))
+    .find((type) => capabilities.precisions[type]);
+
+  console.warn(
+    `WboitPass: Precision '${precision}' is not supported, using '${fallback}'.`
+  );
+
+  return fallback;
+}
+
+/**
+ * Renders into 1x1 targets of each type, a type is supported if the target is complete and
+ * blended output reads back correctly. The test blend (one, zero) passes without blending
+ * support, float targets also require EXT_float_blend (WebGL 1 and 2).
+ */
+function testCapabilities(renderer) {
+  const gl = renderer.getContext();
+  const isWebGL2 = renderer.capabilities.isWebGL2 === true;
+
+  const extensions = {};
+
+  for (const name of [
+    "EXT_color_buffer_float",
+    "EXT_color_buffer_half_float",
+    "EXT_float_blend",
+    "OES_texture_float",
+    "OES_texture_half_float",
+    "WEBGL_color_buffer_float",
+    "WEBGL_depth_texture",
+    "WEBGL_draw_buffers",
+  ]) {
+    extensions[name] = renderer.extensions.has(name);
+  }
+
+  const testPass = new ShaderPass(FillShader);
+  const testR = 1.0;
+  const testG = 1.0;
+  const testB = 1.0;
+  const testA = 0.0;
+  testPass.material.uniforms["color"].value = new Color(testR, testG, testB);
+  testPass.material.uniforms["opacity"].value = testA;
+  testPass.material.blending = CustomBlending;
+  testPass.material.blendEquation = AddEquation;
+  testPass.material.blendSrc = OneFactor;
+  testPass.material.blendDst = ZeroFactor;
+
+  // gl.getExtension( 'EXT_color_buffer_float' ) - lacking support, see:
+  // https://stackoverflow.com/questions/28827511/webgl-ios-render-to-floating-point-texture
+
+  const oldTarget = renderer.getRenderTarget();
+  const oldClearAlpha = renderer.getClearAlpha();
+  const oldClearColor = renderer.getClearColor(new Color());
+
+  const targetGlTypes = [gl.FLOAT, gl.HALF_FLOAT, gl.UNSIGNED_BYTE];
+  const targetBuffers = [
+    new Float32Array(4),
+    new Uint16Array(4),
+    new Uint8Array(4),
+  ];
+  const targetDivisor = [1, 15360, 255];
+
+  function fuzzyEqual(a, b, epsilon = 0.01) {
+    return a < b + epsilon && a > b - epsilon;
+  }
+
+  const precisions = {};
+
+  for (let i = 0; i < _precisions.length; i++) {
+    const testTarget = new WebGLRenderTarget(1, 1, {
+      minFilter: NearestFilter,
+      magFilter: NearestFilter,
+      type: _precisionTypes[_precisions[i]],
+      format: RGBAFormat,
+      stencilBuffer: false,
+      depthBuffer: true,
+    });
+
+    testPass.render(renderer, testTarget);
+
+    gl.readPixels(0, 0, 1, 1, gl.RGBA, targetGlTypes[i], targetBuffers[i]);
+    const rgba = Array.apply([], targetBuffers[i]);
+    rgba[0] /= targetDivisor[i];
+    rgba[1] /= targetDivisor[i];
+    rgba[2] /= targetDivisor[i];
+    rgba[3] /= targetDivisor[i];
+
+    let complete =
+      gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    complete = complete && fuzzyEqual(rgba[0], testR);
+    complete = complete && fuzzyEqual(rgba[1], testG);
+    complete = complete && fuzzyEqual(rgba[2], testB);
+    complete = complete && fuzzyEqual(rgba[3], testA);
+
+    if (_precisions[i] === "float")
+      complete = complete && extensions.EXT_float_blend;
+
+    // 8-bit targets are always available
+    precisions[_precisions[i]] = complete || _precisions[i] === "byte";
+
+    testTarget.dispose();
+  }
+
+  if (testPass.dispose) testPass.dispose();
+  renderer.setRenderTarget(oldTarget);
+  renderer.setClearColor(oldClearColor, oldClearAlpha);
+
+  return {
+    isWebGL2: isWebGL2,
+    multipleRenderTargets: isWebGL2 && _targetTextures,
+    depthTexture: isWebGL2 || extensions.WEBGL_depth_texture,
+    precisions: precisions,
+    extensions: extensions,
+  };
+}
+
+/**
+ * Render target with 'count' color textures ('textures'), see _targetTextures
+ */
+function createMultipleRenderTarget(width, height, count, options) {
+  return new WebGLRenderTarget(
+    width,
+    height,
+    Object.assign({ count: count }, options)
+  );
+}
+
+// Color textures of a render target, before r162 it only has 'texture'
+function getTextures(target) {
+  return Array.isArray(target.textures) ? target.textures : [target.texture];
+}
+
+// Intersection of rectangles ( x, y, width, height ), stored in 'rect'
+function intersectRect(rect, other) {
+  const x = Math.max(rect.x, other.x);
+  const y = Math.max(rect.y, other.y);
+  const right = Math.min(rect.x + rect.z, other.x + other.z);
+  const top = Math.min(rect.y + rect.w, other.y + other.w);
+
+  return rect.set(x, y, Math.max(0, right - x), Math.max(0, top - y));
+}
+
+// Scales a rectangle in pixels to a target of another size, edges are rounded to the nearest
+// pixel (viewports tile without gaps) or outwards (scissors cover the whole region)
+function scaleRect(rect, source, scaleX, scaleY, outwards = false) {
+  const floor = outwards ? Math.floor : Math.round;
+  const ceil = outwards ? Math.ceil : Math.round;
+
+  const x = floor(source.x * scaleX);
+  const y = floor(source.y * scaleY);
+  const right = ceil((source.x + source.z) * scaleX);
+  const top = ceil((source.y + source.w) * scaleY);
+
+  return rect.set(x, y, right - x, top - y);
+}
+
+// Removes skipped items from a render list array, replaces materials of the others
+function filterRenderItems(renderItems, filter) {
+  let count = 0;
+
+  for (let i = 0; i < renderItems.length; i++) {
+    const renderItem = renderItems[i];
+    const material = filter(renderItem.material, renderItem.object);
+
+    if (material) {
+      renderItem.material = material;
+      renderItems[count++] = renderItem;
+    }
+  }
+
+  renderItems.length = count;
+}
+
+// Visible, including its ancestors
+function isRendered(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+
+  return true;
+}
+
+// Materials with a finite 'attenuationDistance' absorb light by volume
+function hasVolume(material) {
+  const distance = material.attenuationDistance;
+  return distance > 0 && distance < Infinity && !!material.attenuationColor;
+}
+
+// InstancedMesh or BatchedMesh with per-instance values, drawn with stage materials of its own
+// (material uniforms are only uploaded when the material changes)
+function usesInstanceTexture(material, object) {
+  return (
+    (object.isInstancedMesh === true || object.isBatchedMesh === true) &&
+    (material.instanceOpacity === true || material.instanceWeight === true)
+  );
+}
+
+/**
+ * Binds the per-instance values of an InstancedMesh or BatchedMesh. Meshes without values of
+ * their own (see WboitUtils.setOpacityAt) draw all instances at 1.0.
+ */
+function prepareInstanceValues(material, uniforms, object) {
+  const texture =
+    usesInstanceTexture(material, object) &&
+    WboitUtils.hasInstanceTexture(object)
+      ? WboitUtils.getInstanceTexture(object)
+      : null;
+
+  uniforms["wboitInstanceTexture"].value = texture;
+  uniforms["wboitUseInstanceTexture"].value = texture ? 1 : 0;
+}
+
+// WBOIT uniforms of a material rendered outside of the WBOIT stages
+function resetWboitUniforms(uniforms) {
+  uniforms["renderStage"].value = WboitStages.Normal;
+  uniforms["exactLayers"].value = 0;
+}
+
+// Type of the material 'object' is drawn with: "points", "line", "sprite" or "mesh"
+function getObjectType(object) {
+  if (object.isPoints) return "points";
+  if (object.isLine) return "line";
+  if (object.isSprite) return "sprite";
+
+  return "mesh";
+}
+
+// Unlit material for the debug views, of the material type of objects of 'type'
+function createDebugMaterial(type) {
+  let material;
+
+  switch (type) {
+    case "points":
+      material = new PointsMaterial();
+      break;
+    case "line":
+      material = new LineBasicMaterial();
+      break;
+    case "sprite":
+      material = new SpriteMaterial();
+      break;
+    default:
+      material = new MeshBasicMaterial();
+  }
+
+  material.toneMapped = false;
+
+  return material;
+}
+
+/**
+ * Creates a material that inherits all properties of 'material' (prototype chain), except for
+ * 'settings'. It has its own id and renderer state, and follows version changes of 'material'
+ * so edits to the original material still trigger recompiles.
+ */
+function createStageMaterial(material, settings) {
+  const stageMaterial = Object.create(material);
+
+  let versionOffset = 0;
+  let side;
+
+  Object.defineProperty(stageMaterial, "id", { value: _stageMaterialId-- });
+
+  Object.defineProperty(stageMaterial, "version", {
+    get: function () {
+      return material.version + versionOffset;
+    },
+
+    set: function (value) {
+      versionOffset = value - material.version;
+    },
+  });
+
+  // WebGLRenderer temporarily changes side of double sided transparent materials
+  Object.defineProperty(stageMaterial, "side", {
+    get: function () {
+      return side !== undefined ? side : material.side;
+    },
+
+    set: function (value) {
+      side = value !== material.side ? value : undefined;
+    },
+  });
+
+  stageMaterial._listeners = {};
+
+  return Object.assign(stageMaterial, settings);
 }
 
 export { WboitPass };
@@ -0,0 +1,358 @@
+/**
+ * Persistent classification of the objects of a scene into opaque, transparent and WBOIT
+ *
+ * Objects are tracked as they are added to / removed from the scene ('childadded' and
+ * 'childremoved' events, three r163+, older versions wrap add() of tracked objects). Changes are
+ * found when an object is drawn: objects are reclassified when 'object.material' was set to
+ * another material, materials when their 'version' (needsUpdate), 'transparent' or
+ * 'wboitEnabled' changed. The whole scene is never scanned for changes, objects that are not
+ * drawn (e.g. hidden objects) keep their bucket until they are drawn again, or until
+ * invalidate() is called.
+ *
+ * Objects can override the category of their materials with 'object.userData.wboitMode', which
+ * also applies to their descendants (unless they set a mode of their own):
+ *
+ *  'wboit'         transparent materials with WBOIT support (WBOIT materials, patched materials)
+ *                  render with WBOIT, even if 'wboitEnabled' is false
+ *  'transparent'   WBOIT materials render as sorted transparent objects
+ *  'opaque'        all materials render as opaque objects
+ *
+ * Other values (e.g. undefined or 'inherit') inherit the mode of the parent. Set modes with
+ * setMode( object, mode ), which reclassifies the object and its descendants. Changes to
+ * 'userData.wboitMode' are found when the object is drawn, descendants of objects that are not
+ * drawn (e.g. groups) are only reclassified by setMode() or invalidate( object ).
+ *
+ *  registry.opaque         Set of objects with opaque materials
+ *  registry.transparent    Set of objects with transparent (non WBOIT) materials
+ *  registry.wboit          Set of objects with WBOIT materials
+ *
+ * Objects with multiple materials are in the bucket of each of their materials.
+ */
+
+import { REVISION } from "three";
+
+import { WboitUtils } from "./WboitUtils.js";
+
+// Older versions of three only dispatch 'added' / 'removed' on the child itself, add() of tracked
+// objects is wrapped to find new children instead
+const _childEvents = parseInt(REVISION) >= 163;
+
+const _modes = ["opaque", "transparent", "wboit"];
+
+class WboitRegistry {
+  constructor(root = null) {
+    this.root = null;
+
+    this.opaque = new Set();
+    this.transparent = new Set();
+    this.wboit = new Set();
+
+    // Internal
+
+    this._objects = new Map();
+    this._materials = new Map();
+    this._dirty = new Set();
+
+    this._onChildAdded = (event) => this._track(event.child);
+    this._onChildRemoved = (event) => this._untrack(event.child);
+    this._onRemoved = (event) => this._untrack(event.target);
+
+    if (root) this.attach(root);
+  }
+
+  attach(root) {
+    if (this.root === root) return;
+    if (this.root) this.detach();
+
+    this.root = root;
+    this._track(root);
+  }
+
+  detach() {
+    if (!this.root) return;
+
+    this._untrack(this.root);
+    this.root = null;
+  }
+
+  dispose() {
+    this.detach();
+  }
+
+  /**
+   * Classifies added and invalidated objects
+   */
+  update() {
+    if (!this.root) return;
+
+    for (const object of this._dirty) {
+      if (this._objects.has(object)) this._classifyObject(object);
+    }
+
+    this._dirty.clear();
+  }
+
+  /**
+   * Sets 'userData.wboitMode' of an object (null or undefined to inherit the mode of the parent),
+   * the object and its descendants are reclassified.
+   */
+  setMode(object, mode) {
+    if (mode === null || mode === undefined) {
+      delete object.userData.wboitMode;
+    } else {
+      object.userData.wboitMode = mode;
+    }
+
+    this._classifySubtree(object);
+  }
+
+  /**
+   * Marks a tracked material, or an object and its descendants, as changed, they are reclassified
+   * on the next update(). Needed for material changes of objects that are not drawn (drawn
+   * objects are checked).
+   */
+  invalidate(target) {
+    if (target.isMaterial) {
+      const entry = this._materials.get(target);
+      if (!entry) return;
+
+      this._classifyMaterial(target, entry);
+      entry.objects.forEach((object) => this._dirty.add(object));
+    } else if (this._objects.has(target)) {
+      target.traverse((object) => {
+        if (this._objects.has(object)) this._dirty.add(object);
+      });
+    }
+  }
+
+  /**
+   * Returns the bucket ('opaque', 'transparent' or 'wboit') of a material, as used by 'object'
+   * if given (see 'userData.wboitMode'). Reclassifies the object and material if they changed.
+   */
+  getCategory(material, object = null) {
+    const objectEntry = object ? this._objects.get(object) : undefined;
+
+    if (objectEntry && objectEntry.ownMode !== object.userData.wboitMode) {
+      this._classifySubtree(object);
+    } else if (objectEntry && objectEntry.material !== object.material) {
+      this._dirty.delete(object);
+      this._classifyObject(object);
+    }
+
+    const entry = this._materials.get(material);
+
+    if (entry && isChanged(material, entry)) {
+      this._classifyMaterial(material, entry);
+
+      // Copied, reclassifying removes the objects from the set and adds them again
+      for (const user of Array.from(entry.objects)) {
+        this._dirty.delete(user);
+        this._classifyObject(user);
+      }
+    }
+
+    const category = entry ? entry.category : classify(material);
+
+    if (!object) return category;
+
+    const mode = objectEntry ? objectEntry.mode : getMode(object);
+
+    return applyMode(category, mode, material);
+  }
+
+  _track(root) {
+    root.traverse((object) => {
+      if (this._objects.has(object)) return;
+
+      this._objects.set(object, {
+        material: undefined,
+        materials: [],
+        mode: null,
+        ownMode: undefined,
+        addHook: null,
+      });
+      this._dirty.add(object);
+
+      if (_childEvents) {
+        object.addEventListener("childadded", this._onChildAdded);
+        object.addEventListener("childremoved", this._onChildRemoved);
+      } else {
+        this._hookAdd(object);
+        if (object !== this.root) {
+          object.addEventListener("removed", this._onRemoved);
+        }
+      }
+    });
+  }
+
+  _untrack(root) {
+    root.traverse((object) => {
+      const entry = this._objects.get(object);
+      if (!entry) return;
+
+      this._setMaterials(object, entry, []);
+      if (entry.addHook) this._unhookAdd(object, entry.addHook);
+      this._objects.delete(object);
+      this._dirty.delete(object);
+
+      object.removeEventListener("childadded", this._onChildAdded);
+      object.removeEventListener("childremoved", this._onChildRemoved);
+      object.removeEventListener("removed", this._onRemoved);
+    });
+  }
+
+  _classifyObject(object) {
+    const entry = this._objects.get(object);
+
+    let materials = [];
+
+    if (object.material) {
+      materials = Array.isArray(object.material)
+        ? object.material.slice()
+        : [object.material];
+    }
+
+    entry.material = object.material;
+    entry.mode = getMode(object);
+    entry.ownMode = object.userData.wboitMode;
+    this._setMaterials(object, entry, materials);
+
+    this.opaque.delete(object);
+    this.transparent.delete(object);
+    this.wboit.delete(object);
+
+    for (let i = 0; i < materials.length; i++) {
+      const category = this._materials.get(materials[i]).category;
+      this[applyMode(category, entry.mode, materials[i])].add(object);
+    }
+  }
+
+  // Reclassifies a tracked object and its descendants now
+  _classifySubtree(root) {
+    root.traverse((object) => {
+      if (!this._objects.has(object)) return;
+
+      this._dirty.delete(object);
+      this._classifyObject(object);
+    });
+  }
+
+  // Wraps add() of a tracked object, new children are tracked once added
+  _hookAdd(object) {
+    const registry = this;
+    const add = object.add;
+
+    const hook = function () {
+      add.apply(this, arguments);
+
+      for (let i = 0; i < arguments.length; i++) {
+        const child = arguments[i];
+
+        if (child.parent === this && registry._objects.has(this)) {
+          registry._track(child);
+        }
+      }
+
+      return this;
+    };
+
+    this._objects.get(object).addHook = { add, hook };
+    object.add = hook;
+  }
+
+  _unhookAdd(object, { add, hook }) {
+    // Left in place if add() was wrapped again since, the hook then only calls the previous add()
+    if (object.add !== hook) return;
+
+    if (add === Object.getPrototypeOf(object).add) {
+      delete object.add;
+    } else {
+      object.add = add;
+    }
+  }
+
+  _setMaterials(object, entry, materials) {
+    for (let i = 0; i < entry.materials.length; i++) {
+      const material = entry.materials[i];
+      const materialEntry = this._materials.get(material);
+
+      materialEntry.objects.delete(object);
+      if (materialEntry.objects.size === 0) this._materials.delete(material);
+    }
+
+    for (let i = 0; i < materials.length; i++) {
+      const material = materials[i];
+      let materialEntry = this._materials.get(material);
+
+      if (!materialEntry) {
+        materialEntry = { objects: new Set() };
+        this._classifyMaterial(material, materialEntry);
+        this._materials.set(material, materialEntry);
+      }
+
+      materialEntry.objects.add(object);
+    }
+
+    entry.materials = materials;
+
+    if (materials.length === 0) {
+      this.opaque.delete(object);
+      this.transparent.delete(object);
+      this.wboit.delete(object);
+    }
+  }
+
+  _classifyMaterial(material, entry) {
+    entry.category = classify(material);
+    entry.version = material.version;
+    entry.transparent = material.transparent;
+    entry.wboitEnabled = material.wboitEnabled;
+  }
+}
+
+function isChanged(material, entry) {
+  return (
+    entry.version !== material.version ||
+    entry.transparent !== material.transparent ||
+    entry.wboitEnabled !== material.wboitEnabled
+  );
+}
+
+function classify(material) {
+  // Clones and loaded copies of patched materials
+  WboitUtils.reapply(material);
+
+  if (material.transparent !== true) return "opaque";
+
+  return material.wboitEnabled === true ? "wboit" : "transparent";
+}
+
+// Mode of the object or its nearest ancestor that sets one, null if none does
+function getMode(object) {
+  for (let o = object; o; o = o.parent) {
+    const mode = o.userData.wboitMode;
+    if (_modes.includes(mode)) return mode;
+  }
+
+  return null;
+}
+
+// Category of a material of 'category' on an object of 'mode'
+function applyMode(category, mode, material) {
+  switch (mode) {
+    case "opaque":
+      return "opaque";
+
+    case "transparent":
+      return category === "wboit" ? "transparent" : category;
+
+    case "wboit":
+      return category === "transparent" && WboitUtils.getUniforms(material)
+        ? "wboit"
+        : category;
+  }
+
+  return category;
+}
+
+export { WboitRegistry };
@@ -0,0 +1,136 @@
+/**
+ * Render targets shared by the passes of a renderer
+ *
+ * Targets that only hold intermediate results of a single render (e.g. peeled layers, the edge
+ * target of FXAA) are acquired from the pool of the renderer when needed and released at the end
+ * of the render. Passes rendering one after the other reuse the same targets, a pass rendering
+ * while another one renders (e.g. a thumbnail rendered from onBeforeRender) gets targets of its
+ * own, as targets in use are never handed out twice.
+ */
+
+import {
+  DepthTexture,
+  FloatType,
+  NearestFilter,
+  RGBAFormat,
+  UnsignedIntType,
+  WebGLRenderTarget,
+} from "three";
+
+const _pools = new WeakMap();
+
+class WboitTargetPool {
+  constructor(renderer) {
+    this._renderer = renderer;
+    this._isWebGL2 = renderer.capabilities.isWebGL2 === true;
+    this._free = [];
+    this._used = new Map();
+    this._users = 0;
+  }
+
+  /**
+   * Pool of 'renderer', shared by all passes rendering with it. Each call adds a user, the pool
+   * disposes its targets once all users have called detach().
+   */
+  static get(renderer) {
+    let pool = _pools.get(renderer);
+
+    if (!pool) {
+      pool = new WboitTargetPool(renderer);
+      _pools.set(renderer, pool);
+    }
+
+    pool._users++;
+
+    return pool;
+  }
+
+  /**
+   * Returns a free target of 'width' x 'height' with the settings:
+   *
+   *  type              texture type
+   *  filter            min and mag filter of the texture (NearestFilter)
+   *  depthBuffer       target has a depth buffer (false)
+   *  depthTexture      target has a depth texture of its own (false), implies a depth buffer
+   *
+   * Free targets of the same size are preferred, others are resized.
+   */
+  acquire(
+    width,
+    height,
+    { type, filter = NearestFilter, depthBuffer = false, depthTexture = false }
+  ) {
+    const key = `${type}:${filter}:${
+      depthBuffer || depthTexture
+    }:${depthTexture}`;
+
+    let index = this._free.findIndex(
+      (entry) =>
+        entry.key === key &&
+        entry.target.width === width &&
+        entry.target.height === height
+    );
+
+    if (index === -1)
+      index = this._free.findIndex((entry) => entry.key === key);
+
+    let target;
+
+    if (index !== -1) {
+      target = this._free[index].target;
+      this._free.splice(index, 1);
+    } else {
+      target = new WebGLRenderTarget(width, height, {
+        minFilter: filter,
+        magFilter: filter,
+        type: type,
+        format: RGBAFormat,
+        stencilBuffer: false,
+        depthBuffer: depthBuffer || depthTexture,
+        depthTexture: depthTexture
+          ? new DepthTexture(
+              width,
+              height,
+              this._isWebGL2 ? FloatType : UnsignedIntType
+            )
+          : null,
+      });
+    }
+
+    // Also resets viewport and scissor to the full target
+    target.setSize(width, height);
+    target.scissorTest = false;
+
+    this._used.set(target, key);
+
+    return target;
+  }
+
+  // Returns a target acquired from the pool, its contents may be overwritten from now on
+  release(target) {
+    const key = this._used.get(target);
+    if (key === undefined) return;
+
+    this._used.delete(target);
+    this._free.push({ key: key, target: target });
+  }
+
+  // Removes a user (see get()), the last one disposes all targets
+  detach() {
+    if (--this._users > 0) return;
+
+    this._used.forEach((key, target) => disposeTarget(target));
+    this._free.forEach((entry) => disposeTarget(entry.target));
+    this._used.clear();
+    this._free.length = 0;
+
+    if (_pools.get(this._renderer) === this) _pools.delete(this._renderer);
+  }
+}
+
+function disposeTarget(target) {
+  if (target.depthTexture) target.depthTexture.dispose();
+  target.dispose();
+}
+
+export { WboitTargetPool };
@@ -0,0 +1,141 @@
+/**
+ * GPU time of the stages of a pass, measured with timer queries (EXT_disjoint_timer_query_webgl2
+ * for WebGL 2, EXT_disjoint_timer_query for WebGL 1)
+ *
+ * Stages are measured one at a time (queries can not nest). Results arrive a few frames late,
+ * update() returns the timings of the latest frame whose queries have all completed.
+ */
+
+class WboitTimer {
+  constructor(renderer) {
+    const gl = renderer.getContext();
+    const isWebGL2 = renderer.capabilities.isWebGL2 === true;
+    const name = isWebGL2
+      ? "EXT_disjoint_timer_query_webgl2"
+      : "EXT_disjoint_timer_query";
+
+    const ext = renderer.extensions.has(name)
+      ? renderer.extensions.get(name)
+      : null;
+
+    this.supported = ext !== null;
+
+    // Internal
+
+    this._gl = gl;
+    this._ext = ext;
+    this._frame = 0;
+    this._active = null;
+    this._pending = [];
+    this._pool = [];
+    this._collecting = null;
+
+    if (!ext) return;
+
+    // WebGL 1 queries are functions of the extension
+    this._api = isWebGL2
+      ? {
+          create: () => gl.createQuery(),
+          delete: (query) => gl.deleteQuery(query),
+          begin: (query) => gl.beginQuery(ext.TIME_ELAPSED_EXT, query),
+          end: () => gl.endQuery(ext.TIME_ELAPSED_EXT),
+          available: (query) =>
+            gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE),
+          result: (query) => gl.getQueryParameter(query, gl.QUERY_RESULT),
+        }
+      : {
+          create: () => ext.createQueryEXT(),
+          delete: (query) => ext.deleteQueryEXT(query),
+          begin: (query) => ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query),
+          end: () => ext.endQueryEXT(ext.TIME_ELAPSED_EXT),
+          available: (query) =>
+            ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT),
+          result: (query) => ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT),
+        };
+  }
+
+  // Starts measuring 'name', ignored while another stage is measured
+  begin(name) {
+    if (!this.supported || this._active) return;
+
+    const query = this._pool.pop() || this._api.create();
+    this._api.begin(query);
+
+    this._active = { name: name, query: query, frame: this._frame };
+  }
+
+  end() {
+    if (!this._active) return;
+
+    this._api.end();
+    this._pending.push(this._active);
+    this._active = null;
+  }
+
+  /**
+   * Collects completed queries, stages measured afterwards belong to 'frame'. Returns
+   * { frame, stages } (milliseconds per stage name) of the latest completed frame, or null if no
+   * frame completed since the last call.
+   */
+  update(frame) {
+    if (!this.supported) return null;
+
+    let completed = null;
+
+    // Results are unreliable after a disjoint operation (e.g. GPU frequency change)
+    if (this._gl.getParameter(this._ext.GPU_DISJOINT_EXT)) {
+      this._pending.forEach((entry) => this._pool.push(entry.query));
+      this._pending.length = 0;
+      this._collecting = null;
+    }
+
+    while (this._pending.length > 0) {
+      const entry = this._pending[0];
+      if (!this._api.available(entry.query)) break;
+
+      this._pending.shift();
+      this._pool.push(entry.query);
+
+      if (this._collecting && this._collecting.frame !== entry.frame) {
+        completed = this._collecting;
+        this._collecting = null;
+      }
+
+      if (!this._collecting) {
+        this._collecting = { frame: entry.frame, stages: {} };
+      }
+
+      const stages = this._collecting.stages;
+      stages[entry.name] =
+        (stages[entry.name] || 0) + this._api.result(entry.query) / 1e6;
+    }
+
+    // Queries of earlier frames have all been issued, the frame is complete once none is pending
+    if (
+      this._collecting &&
+      (this._pending.length === 0 ||
+        this._pending[0].frame !== this._collecting.frame)
+    ) {
+      completed = this._collecting;
+      this._collecting = null;
+    }
+
+    this._frame = frame;
+
+    return completed;
+  }
+
+  dispose() {
+    if (!this.supported) return;
+
+    if (this._active) this.end();
+
+    this._pending.forEach((entry) => this._api.delete(entry.query));
+    this._pool.forEach((query) => this._api.delete(query));
+    this._pending.length = 0;
+    this._pool.length = 0;
+    this._collecting = null;
+  }
+}
+
+export { WboitTimer };
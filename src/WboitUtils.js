@@ -2,12 +2,48 @@
  * Helper utilities for WboitPass
  */
 
-import { WboitStages } from "./materials/MeshWboitMaterial.js";
+import {
+  Color,
+  DataTexture,
+  FloatType,
+  Material,
+  RGFormat,
+  Vector2,
+  Vector3,
+  Vector4,
+} from "three";
 
-let _materialCounter = 0;
-const _stage = { value: 0.5 };
+import {
+  defineInstanceProperties,
+  injectWboitShader,
+} from "./materials/WboitMaterialUtils.js";
+import { WboitStages } from "./shaders/WboitShaderChunk.js";
+
+const _patches = new WeakMap();
+
+// Volume of patched materials without one (KHR_materials_volume defaults, no absorption)
+const _volumeDefaults = {
+  attenuationColor: () => new Color(0xffffff),
+  attenuationDistance: () => Infinity,
+  thickness: () => 0,
+};
+
+// Per-instance opacity / weight (see setOpacityAt), kept in a texture of each mesh
+const _instanceProperties = ["instanceOpacity", "instanceWeight"];
+const _instanceTextures = new WeakMap();
 
 class WboitUtils {
+  /**
+   * Adds WBOIT support to existing materials (Material or Array of Materials).
+   *
+   * Settings of a patch (weight, weightFunction, transmissionColor, wboitEnabled and the volume:
+   * attenuationColor, attenuationDistance, thickness) are mirrored in 'material.userData.wboit',
+   * so the patch survives clone(), copy() and toJSON(). Materials restored by ObjectLoader /
+   * MaterialLoader are patched again with WboitUtils.reapply().
+   *
+   * Patched materials share shader programs. A material with a custom 'onBeforeCompile' compiles
+   * a program of its own, unless it also sets 'customProgramCacheKey' to tell its shader apart.
+   */
   static patch(existingMaterial) {
     let materials = Array.isArray(existingMaterial)
       ? existingMaterial
@@ -16,77 +52,483 @@ class WboitUtils {
     for (let i = 0; i < materials.length; i++) {
       const material = materials[i];
       if (!material.isMaterial) continue;
-      if (material.wboitEnabled) continue;
+      if (material.isWboitMaterial || _patches.has(material)) continue;
 
-      const existingOnBeforeCompile = material.onBeforeCompile;
+      const prototype = Object.getPrototypeOf(material);
+      const settings = material.userData.wboit || {};
 
-      material.onBeforeCompile = function (shader, renderer) {
-        if (material.wboitEnabled === true) return;
-        material.wboitEnabled = true;
+      const uniforms = {
+        renderStage: { value: WboitStages.Normal },
+        weight: { value: 1.0 },
+        weightFunctionIndex: { value: 0 },
+        accumulationEncoding: { value: 0 },
+        peelDepth: { value: null },
+        opaqueDepth: { value: null },
+        peelResolution: { value: new Vector2(1, 1) },
+        exactLayers: { value: 0 },
+        opacityThreshold: { value: 0.0 },
+        transmissionColor: { value: new Color(0x000000) },
+        wboitInstanceTexture: { value: null },
+        wboitUseInstanceTexture: { value: 0.0 },
+        wboitAttenuationColor: { value: new Color(0xffffff) },
+        wboitAttenuationDistance: { value: 0.0 },
+        wboitThickness: { value: 0.0 },
+        wboitBackDistance: { value: null },
+        wboitVolumeChannel: { value: new Vector4(0, 0, 0, 0) },
+        wboitCamera: { value: new Vector3(0.1, 2000, 0) },
+      };
 
-        if (typeof existingOnBeforeCompile === "function")
-          existingOnBeforeCompile(shader, renderer);
+      // Original state, restored by unpatch()
+      const patch = {
+        uniforms: uniforms,
+        ownProperties: {},
+        volumeProperties: [],
+      };
 
-        shader.uniforms.renderStage = _stage;
-        shader.uniforms.weight = { value: 1.0 };
+      for (const property of [
+        "onBeforeCompile",
+        "customProgramCacheKey",
+        "clone",
+        "copy",
+      ]) {
+        if (Object.prototype.hasOwnProperty.call(material, property)) {
+          patch.ownProperties[property] = material[property];
+        }
+      }
 
-        shader.fragmentShader =
-          `
-					uniform float renderStage;
-					uniform float weight;
-				` + shader.fragmentShader;
+      _patches.set(material, patch);
 
-        // shader.fragmentShader = shader.fragmentShader.replace('#include <tonemapping_fragment>', '');
-        // shader.fragmentShader = shader.fragmentShader.replace('#include <colorspace_fragment>', '');
+      Object.defineProperty(material, "weight", {
+        configurable: true,
+
+        get: function () {
+          return uniforms.weight.value;
+        },
+
+        set: function (value) {
+          uniforms.weight.value = value;
+        },
+      });
+
+      Object.defineProperty(material, "transmissionColor", {
+        configurable: true,
+
+        get: function () {
+          return uniforms.transmissionColor.value;
+        },
+
+        set: function (value) {
+          uniforms.transmissionColor.value = value;
+        },
+      });
+
+      Object.defineProperty(material, "renderStage", {
+        configurable: true,
 
-        shader.fragmentShader = shader.fragmentShader.replace(
-          /}$/gm,
-          `
+        get: function () {
+          return uniforms.renderStage;
+        },
 
-					if ( renderStage == ${WboitStages.Acummulation.toFixed(1)} ) {
-						vec4 accum = gl_FragColor.rgba;
+        set: function (stage) {
+          uniforms.renderStage.value = parseFloat(stage);
+        },
+      });
 
-						#ifndef PREMULTIPLIED_ALPHA
-							accum.rgb *= accum.a;
-						#endif
+      // Name of weight function (see WboitWeights), null uses weight function of WboitPass
+      if (material.weightFunction === undefined) material.weightFunction = null;
 
-						float z = gl_FragCoord.z;
+      // Volume absorption (see MeshPhysicalMaterial), added to materials without a volume
+      for (const property in _volumeDefaults) {
+        if (material[property] !== undefined) continue;
 
-						float scaleWeight = 0.7 + ( 0.3 * weight );
-						float w = clamp( pow( ( accum.a * 8.0 + 0.001 ) * ( - z * scaleWeight + 1.0 ), 3.0 ) * 1000.0, 0.001, 300.0 );
+        material[property] = _volumeDefaults[property]();
+        patch.volumeProperties.push(property);
+      }
 
-						gl_FragColor = accum * w;
+      defineInstanceProperties(material);
 
-					} else if ( renderStage == ${WboitStages.Revealage.toFixed(1)} ) {
+      // Disabled materials render with WBOIT on objects that opt in (see WboitRegistry)
+      material.wboitEnabled = true;
 
-					 	gl_FragColor = vec4( gl_FragColor.a * gl_FragCoord.z );
+      applySettings(material, settings);
 
-					}
+      material.userData.wboit = createMarker(material);
 
-				}`
-        );
-        console.log(shader.fragmentShader);
-        Object.defineProperty(material, "renderStage", {
-          get: function () {
-            return _stage;
-          },
+      // Clones and copies keep the patch (settings are carried over in userData)
 
-          set: function (stage) {
-            _stage.value = parseFloat(stage);
-          },
-        });
+      material.clone = function () {
+        return WboitUtils.reapply(prototype.clone.call(this));
       };
 
-      const materialID = _materialCounter;
-      _materialCounter++;
+      material.copy = function (source) {
+        prototype.copy.call(this, source);
 
+        applySettings(this, this.userData.wboit || {});
+
+        this.userData.wboit = createMarker(this);
+
+        return this;
+      };
+
+      const existingOnBeforeCompile = material.onBeforeCompile;
+      const existingProgramCacheKey = material.customProgramCacheKey;
+      const ownProgramCacheKey = patch.ownProperties.customProgramCacheKey;
+      const customOnBeforeCompile =
+        existingOnBeforeCompile !== Material.prototype.onBeforeCompile;
+
+      material.onBeforeCompile = function (shader, renderer) {
+        if (typeof existingOnBeforeCompile === "function")
+          existingOnBeforeCompile.call(this, shader, renderer);
+        Object.assign(shader.uniforms, uniforms);
+
+        // shader.fragmentShader = shader.fragmentShader.replace('#include <tonemapping_fragment>', '');
+        // shader.fragmentShader = shader.fragmentShader.replace('#include <colorspace_fragment>', '');
+
+        if (!injectWboitShader(shader)) {
+          console.error(
+            `WboitUtils: Shader of material '${
+              this.name || this.type
+            }' can not be patched, main() or its GLSL 3 output not found!`
+          );
+        }
+      };
+
+      // Patched materials share programs, unless their original shaders differ. A custom
+      // 'onBeforeCompile' may depend on values its source does not show, without a key of its
+      // own to tell them apart the material gets a program of its own.
       material.customProgramCacheKey = function () {
-        return materialID;
+        if (customOnBeforeCompile && !ownProgramCacheKey) {
+          return "wboit," + this.uuid;
+        }
+
+        return "wboit," + existingProgramCacheKey.call(this);
       };
 
       material.needsUpdate = true;
     }
+
+    return existingMaterial;
+  }
+
+  /**
+   * Patches the materials of an object and its descendants. Only materials accepted by
+   * 'filter( material, object )' are patched, by default all transparent materials.
+   * Returns an Array of the newly patched materials.
+   */
+  static patchScene(root, { filter = isTransparent } = {}) {
+    const patched = [];
+
+    root.traverse((object) => {
+      if (!object.material) return;
+
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+
+      for (let i = 0; i < materials.length; i++) {
+        const material = materials[i];
+        if (!material.isMaterial || WboitUtils.getUniforms(material)) continue;
+        if (!filter(material, object)) continue;
+
+        WboitUtils.patch(material);
+        patched.push(material);
+      }
+    });
+
+    return patched;
+  }
+
+  /**
+   * Removes WBOIT support added by patch() (Material or Array of Materials), the material
+   * is recompiled with its original shader the next time it is rendered
+   */
+  static unpatch(existingMaterial) {
+    let materials = Array.isArray(existingMaterial)
+      ? existingMaterial
+      : [existingMaterial];
+
+    for (let i = 0; i < materials.length; i++) {
+      const material = materials[i];
+      const patch = _patches.get(material);
+      if (!patch) continue;
+
+      material.instanceOpacity = false;
+      material.instanceWeight = false;
+
+      for (const property of [
+        "onBeforeCompile",
+        "customProgramCacheKey",
+        "clone",
+        "copy",
+        "weight",
+        "transmissionColor",
+        "renderStage",
+        "instanceOpacity",
+        "instanceWeight",
+        "weightFunction",
+        "wboitEnabled",
+        ...patch.volumeProperties,
+      ]) {
+        delete material[property];
+      }
+
+      Object.assign(material, patch.ownProperties);
+
+      delete material.userData.wboit;
+
+      _patches.delete(material);
+
+      material.needsUpdate = true;
+    }
+
+    return existingMaterial;
+  }
+
+  /**
+   * Patches materials that carry a WBOIT marker in 'userData' but are not patched (after
+   * ObjectLoader / MaterialLoader, or copy() into an unpatched material). Accepts a Material,
+   * an Array of Materials or an Object3D (all materials of the object and its descendants).
+   */
+  static reapply(target) {
+    if (Array.isArray(target)) {
+      target.forEach((material) => WboitUtils.reapply(material));
+    } else if (target && target.isObject3D) {
+      target.traverse((object) => {
+        if (object.material) WboitUtils.reapply(object.material);
+      });
+    } else if (
+      target &&
+      target.isMaterial &&
+      target.userData.wboit !== undefined &&
+      !WboitUtils.isPatched(target)
+    ) {
+      WboitUtils.patch(target);
+    }
+
+    return target;
+  }
+
+  static isPatched(material) {
+    return _patches.has(material);
+  }
+
+  /**
+   * Returns the WBOIT uniforms (renderStage, weight, weightFunctionIndex, ...) of a material,
+   * or null if the material does not support WBOIT
+   */
+  static getUniforms(material) {
+    if (material.isWboitMaterial) return material.uniforms;
+
+    // Also finds the patch of materials derived with Object.create() (WboitPass stage materials)
+    for (let m = material; m; m = Object.getPrototypeOf(m)) {
+      const patch = _patches.get(m);
+      if (patch) return patch.uniforms;
+    }
+
+    return null;
+  }
+
+  /**
+   * Sets the opacity of one instance of an InstancedMesh or BatchedMesh (multiplies material
+   * opacity), and enables 'instanceOpacity' on the WBOIT materials of the mesh. Instances
+   * default to 1.0, values are stored per mesh (see getInstanceTexture), so meshes sharing a
+   * geometry or material keep their own.
+   */
+  static setOpacityAt(mesh, index, opacity) {
+    setInstanceValue(mesh, index, 0, opacity);
+  }
+
+  static getOpacityAt(mesh, index) {
+    return getInstanceValue(mesh, index, 0);
+  }
+
+  /**
+   * Sets the weight modifier of one instance of an InstancedMesh or BatchedMesh (multiplies
+   * material weight), and enables 'instanceWeight' on the WBOIT materials of the mesh.
+   * Instances default to 1.0, values are stored per mesh (see getInstanceTexture).
+   */
+  static setWeightAt(mesh, index, weight) {
+    setInstanceValue(mesh, index, 1, weight);
+  }
+
+  static getWeightAt(mesh, index) {
+    return getInstanceValue(mesh, index, 1);
+  }
+
+  /**
+   * Texture holding the per-instance opacity (red) and weight (green) of an InstancedMesh or
+   * BatchedMesh, created with all instances at 1.0. WboitPass binds it while drawing the mesh
+   * (requires WebGL 2). Meshes without one, and meshes rendered without WboitPass, draw all
+   * instances at 1.0.
+   */
+  static getInstanceTexture(mesh) {
+    return getInstanceTexture(mesh, true);
   }
+
+  static hasInstanceTexture(mesh) {
+    return _instanceTextures.has(mesh);
+  }
+
+  /**
+   * Frees the texture holding the per-instance values of a mesh, call it along with
+   * 'mesh.dispose()'
+   */
+  static disposeInstanceTexture(mesh) {
+    const texture = _instanceTextures.get(mesh);
+    if (!texture) return;
+
+    texture.dispose();
+    _instanceTextures.delete(mesh);
+  }
+}
+
+function applySettings(material, settings) {
+  if (settings.weight !== undefined) material.weight = settings.weight;
+  if (settings.weightFunction !== undefined)
+    material.weightFunction = settings.weightFunction;
+  if (settings.transmissionColor !== undefined)
+    material.transmissionColor.set(settings.transmissionColor);
+  if (settings.instanceOpacity !== undefined)
+    material.instanceOpacity = settings.instanceOpacity;
+  if (settings.instanceWeight !== undefined)
+    material.instanceWeight = settings.instanceWeight;
+  if (settings.wboitEnabled !== undefined)
+    material.wboitEnabled = settings.wboitEnabled;
+  if (settings.attenuationColor !== undefined)
+    material.attenuationColor.set(settings.attenuationColor);
+  if (settings.attenuationDistance !== undefined)
+    material.attenuationDistance = settings.attenuationDistance;
+  if (settings.thickness !== undefined) material.thickness = settings.thickness;
+}
+
+function setInstanceValue(mesh, index, channel, value) {
+  if (!mesh.isInstancedMesh && !mesh.isBatchedMesh) {
+    return console.error(
+      "WboitUtils: Per-instance values require an InstancedMesh or BatchedMesh!"
+    );
+  }
+
+  const materials = Array.isArray(mesh.material)
+    ? mesh.material
+    : [mesh.material];
+
+  for (let i = 0; i < materials.length; i++) {
+    if (materials[i].wboitEnabled)
+      materials[i][_instanceProperties[channel]] = true;
+  }
+
+  const texture = getInstanceTexture(mesh, true);
+  texture.image.data[index * 2 + channel] = value;
+  texture.needsUpdate = true;
+}
+
+function getInstanceValue(mesh, index, channel) {
+  const texture = getInstanceTexture(mesh, false);
+  return texture ? texture.image.data[index * 2 + channel] : 1;
+}
+
+// Per-instance values of a mesh, null if it has none unless 'create' is set
+function getInstanceTexture(mesh, create) {
+  let texture = _instanceTextures.get(mesh);
+  if (texture || !create) return texture || null;
+
+  const count = mesh.isBatchedMesh
+    ? getMaxInstanceCount(mesh)
+    : mesh.instanceMatrix.count;
+  const size = Math.max(1, Math.ceil(Math.sqrt(count)));
+
+  texture = new DataTexture(
+    new Float32Array(size * size * 2).fill(1),
+    size,
+    size,
+    RGFormat,
+    FloatType
+  );
+
+  _instanceTextures.set(mesh, texture);
+
+  return texture;
+}
+
+// Renamed over the versions of BatchedMesh
+function getMaxInstanceCount(mesh) {
+  if (mesh.maxInstanceCount !== undefined) return mesh.maxInstanceCount;
+  if (mesh._maxInstanceCount !== undefined) return mesh._maxInstanceCount;
+
+  return mesh._maxGeometryCount;
+}
+
+function isTransparent(material) {
+  return material.transparent === true;
+}
+
+/**
+ * Serializable view of the patch settings of a material, stored as 'userData.wboit'. Values are
+ * read from the material when userData is copied (copy(), clone()) or serialized (toJSON()).
+ */
+function createMarker(material) {
+  const marker = {};
+
+  for (const property of [
+    "weight",
+    "weightFunction",
+    "instanceOpacity",
+    "instanceWeight",
+    "wboitEnabled",
+    "thickness",
+  ]) {
+    Object.defineProperty(marker, property, {
+      enumerable: true,
+
+      get: function () {
+        return material[property];
+      },
+
+      set: function (value) {
+        material[property] = value;
+      },
+    });
+  }
+
+  Object.defineProperty(marker, "transmissionColor", {
+    enumerable: true,
+
+    get: function () {
+      return material.transmissionColor.getHex();
+    },
+
+    set: function (value) {
+      material.transmissionColor.set(value);
+    },
+  });
+
+  Object.defineProperty(marker, "attenuationColor", {
+    enumerable: true,
+
+    get: function () {
+      return material.attenuationColor.getHex();
+    },
+
+    set: function (value) {
+      material.attenuationColor.set(value);
+    },
+  });
+
+  // Infinity is not valid JSON, no absorption is left out
+  Object.defineProperty(marker, "attenuationDistance", {
+    enumerable: true,
+
+    get: function () {
+      const distance = material.attenuationDistance;
+      return distance !== Infinity ? distance : undefined;
+    },
+
+    set: function (value) {
+      material.attenuationDistance = value;
+    },
+  });
+
+  return marker;
 }
 
 export { WboitUtils };
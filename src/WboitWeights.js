@@ -0,0 +1,135 @@
+/**
+ * Library of weight functions for weighted, blended order-independent transparency
+ *
+ * Each weight function is a pair of GLSL function bodies. Both are compiled into every WBOIT
+ * shader, the active one is selected per draw with the 'weightFunctionIndex' uniform.
+ *
+ *  weight:     float ( vec4 color, float depth, float viewDepth, float weight )
+ *  revealage:  float ( float alpha, float depth, float viewDepth )
+ *
+ *      color       premultiplied fragment color
+ *      alpha       fragment opacity
+ *      depth       window depth ( gl_FragCoord.z, 0.0 to 1.0 )
+ *      viewDepth   distance from camera along view direction ( perspective cameras )
+ *      weight      material 'weight' modifier ( 0.0 to 1.0 )
+ */
+
+import { ShaderChunk } from "three";
+
+const _functions = [];
+
+class WboitWeights {
+  /**
+   * Adds (or replaces) a named weight function. Register custom functions before materials
+   * using them are first rendered, compiled shaders do not pick up later changes.
+   */
+  static register(name, { weight, revealage = "return alpha;" } = {}) {
+    if (typeof name !== "string" || typeof weight !== "string") {
+      return console.error(
+        "WboitWeights.register: Name and weight function must be strings!"
+      );
+    }
+
+    const index = WboitWeights.getIndex(name);
+    const entry = { name, weight, revealage };
+
+    if (index !== -1) {
+      _functions[index] = entry;
+    } else {
+      _functions.push(entry);
+    }
+
+    ShaderChunk.wboit_weights_pars_fragment = buildShaderChunk();
+  }
+
+  static has(name) {
+    return WboitWeights.getIndex(name) !== -1;
+  }
+
+  static getIndex(name) {
+    return _functions.findIndex((entry) => entry.name === name);
+  }
+
+  static getNames() {
+    return _functions.map((entry) => entry.name);
+  }
+}
+
+function buildShaderChunk() {
+  let functions = "";
+  let weightCases = "";
+  let revealageCases = "";
+
+  for (let i = 0; i < _functions.length; i++) {
+    functions += /* glsl */ `
+
+		// ${_functions[i].name}
+
+		float wboitWeight${i}( vec4 color, float depth, float viewDepth, float weight ) {
+
+			${_functions[i].weight}
+
+		}
+
+		float wboitRevealage${i}( float alpha, float depth, float viewDepth ) {
+
+			${_functions[i].revealage}
+
+		}`;
+
+    weightCases += /* glsl */ `
+			if ( weightFunctionIndex == ${i} ) return wboitWeight${i}( color, depth, viewDepth, weight );`;
+
+    revealageCases += /* glsl */ `
+			if ( weightFunctionIndex == ${i} ) return wboitRevealage${i}( alpha, depth, viewDepth );`;
+  }
+
+  return /* glsl */ `
+
+		uniform int weightFunctionIndex;
+		${functions}
+
+		float wboitWeight( vec4 color, float depth, float viewDepth, float weight ) {
+			${weightCases}
+
+			return color.a;
+
+		}
+
+		float wboitRevealage( float alpha, float depth, float viewDepth ) {
+			${revealageCases}
+
+			return alpha;
+
+		}
+	`;
+}
+
+// Built-in weight functions, see "Weighted Blended Order-Independent Transparency" (McGuire and Bavoil, 2013)
+
+WboitWeights.register("mcguire7", {
+  weight: /* glsl */ `return color.a * clamp( 10.0 / ( 1e-5 + pow( viewDepth / 5.0, 2.0 ) + pow( viewDepth / 200.0, 6.0 ) ), 1e-2, 3e3 );`,
+});
+
+WboitWeights.register("mcguire8", {
+  weight: /* glsl */ `return color.a * clamp( 10.0 / ( 1e-5 + pow( viewDepth / 10.0, 3.0 ) + pow( viewDepth / 200.0, 6.0 ) ), 1e-2, 3e3 );`,
+});
+
+WboitWeights.register("mcguire9", {
+  weight: /* glsl */ `return color.a * clamp( 0.03 / ( 1e-5 + pow( viewDepth / 200.0, 4.0 ) ), 1e-2, 3e3 );`,
+});
+
+WboitWeights.register("mcguire10", {
+  weight: /* glsl */ `return color.a * max( 1e-2, 3e3 * pow( 1.0 - depth, 3.0 ) );`,
+});
+
+// Stevinz, adjustable with material 'weight', distance weighted revealage
+
+WboitWeights.register("adjustable", {
+  weight: /* glsl */ `
+			float scaleWeight = 0.7 + ( 0.3 * weight );
+			return clamp( pow( ( color.a * 8.0 + 0.001 ) * ( - depth * scaleWeight + 1.0 ), 3.0 ) * 1000.0, 0.001, 300.0 );`,
+  revealage: /* glsl */ `return alpha * depth;`,
+});
+
+export { WboitWeights };
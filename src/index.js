@@ -1,7 +1,26 @@
+export { DepthPeelCompositeShader } from './shaders/DepthPeelCompositeShader.js';
+export { DepthPeelPass } from './DepthPeelPass.js';
 export { FillShader } from './shaders/FillShader.js';
+export { LineBasicWboitMaterial } from './materials/LineBasicWboitMaterial.js';
+export { LineDashedWboitMaterial } from './materials/LineDashedWboitMaterial.js';
+export { LineWboitMaterial } from './materials/LineWboitMaterial.js';
 export { MeshBasicShaderMaterial } from './shaders/MeshBasicShaderMaterial.js';
+export { MeshDepthWboitMaterial } from './materials/MeshDepthWboitMaterial.js';
+export { MeshDistanceWboitMaterial } from './materials/MeshDistanceWboitMaterial.js';
+export { MeshLambertWboitMaterial } from './materials/MeshLambertWboitMaterial.js';
+export { MeshPhongWboitMaterial } from './materials/MeshPhongWboitMaterial.js';
+export { MeshPhysicalWboitMaterial } from './materials/MeshPhysicalWboitMaterial.js';
+export { MeshStandardWboitMaterial } from './materials/MeshStandardWboitMaterial.js';
 export { MeshWboitMaterial } from './materials/MeshWboitMaterial.js';
+export { PointsWboitMaterial } from './materials/PointsWboitMaterial.js';
+export { SpriteWboitMaterial } from './materials/SpriteWboitMaterial.js';
 export { sRGBShader } from './shaders/sRGBShader.js';
 export { WboitCompositeShader } from './shaders/WboitCompositeShader.js';
+export { WboitDebugShader } from './shaders/WboitDebugShader.js';
+export { WboitGLTFPlugin } from './loaders/WboitGLTFPlugin.js';
+export { WboitMergeShader } from './shaders/WboitMergeShader.js';
 export { WboitPass } from './WboitPass.js';
-export { WboitUtils } from './WboitUtils.js';
\ No newline at end of file
+export { WboitRegistry } from './WboitRegistry.js';
+export { WboitTransmissionShader } from './shaders/WboitTransmissionShader.js';
+export { WboitUtils } from './WboitUtils.js';
+export { WboitWeights } from './WboitWeights.js';
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * GLTFLoader plugin, patches materials of loaded assets for use with WboitPass
+ *
+ *  loader.register( ( parser ) => new WboitGLTFPlugin( parser ) );
+ *
+ * Materials with 'alphaMode: BLEND' or 'KHR_materials_transmission' are patched. Transmission
+ * (and 'KHR_materials_volume' attenuation color) is converted to WBOIT settings, as screen space
+ * transmission of MeshPhysicalMaterial does not work with order-independent transparency. Volumes
+ * with an 'attenuationDistance' absorb light by thickness instead (see WboitPass.thicknessPass).
+ *
+ *  options.filter                  ( material, object, materialDef ), return false to skip patching
+ *  options.coloredTransmission     convert transmission for WboitPass.coloredTransmission, or
+ *                                  false (default) to convert transmission to opacity
+ *
+ * 'coloredTransmission' must match the setting of the pass, transmission converted for colored
+ * transmission renders dark and opaque with the default WBOIT blending.
+ */
+
+import { Color } from "three";
+
+import { WboitUtils } from "../WboitUtils.js";
+
+const _attenuationColor = new Color();
+
+class WboitGLTFPlugin {
+  constructor(parser, { filter = null, coloredTransmission = false } = {}) {
+    this.name = "three_wboit";
+    this.parser = parser;
+
+    this.filter = filter;
+    this.coloredTransmission = coloredTransmission;
+  }
+
+  afterRoot(result) {
+    const scenes = result.scenes || [result.scene];
+
+    for (let i = 0; i < scenes.length; i++) {
+      const patched = WboitUtils.patchScene(scenes[i], {
+        filter: (material, object) => {
+          const materialDef = this._getMaterialDef(material);
+          if (!materialDef || !isBlended(materialDef)) return false;
+
+          return !this.filter || this.filter(material, object, materialDef);
+        },
+      });
+
+      patched.forEach((material) =>
+        this._applyTransmission(material, this._getMaterialDef(material))
+      );
+    }
+  }
+
+  _getMaterialDef(material) {
+    const json = this.parser.json;
+    const association = this.parser.associations.get(material);
+
+    if (!association || association.materials === undefined) return null;
+
+    return json.materials[association.materials];
+  }
+
+  _applyTransmission(material, materialDef) {
+    const extensions = materialDef.extensions || {};
+    const transmission = extensions.KHR_materials_transmission;
+    if (!transmission) return;
+
+    const factor = transmission.transmissionFactor || 0;
+
+    // Transmission is rendered by WBOIT blending instead
+    if (material.isMeshPhysicalMaterial) material.transmission = 0;
+    material.transparent = true;
+    material.depthWrite = false;
+
+    const volume = extensions.KHR_materials_volume;
+
+    if (volume && volume.attenuationDistance > 0) {
+      // Beer-Lambert absorption, the volume decides opacity and tint
+      material.attenuationColor.fromArray(volume.attenuationColor || [1, 1, 1]);
+      material.attenuationDistance = volume.attenuationDistance;
+      material.thickness = volume.thicknessFactor || 0;
+    } else if (this.coloredTransmission) {
+      // Light passing the surface is tinted by base color, surface reflects the rest
+      material.transmissionColor.copy(material.color).multiplyScalar(factor);
+      material.color.multiplyScalar(1 - factor);
+
+      if (volume && Array.isArray(volume.attenuationColor)) {
+        _attenuationColor.fromArray(volume.attenuationColor);
+        material.transmissionColor.multiply(_attenuationColor);
+      }
+    } else {
+      material.opacity *= 1 - factor;
+    }
+
+    material.needsUpdate = true;
+  }
+}
+
+function isBlended(materialDef) {
+  const extensions = materialDef.extensions || {};
+  const transmission = extensions.KHR_materials_transmission;
+
+  return (
+    materialDef.alphaMode === "BLEND" ||
+    (transmission !== undefined && transmission.transmissionFactor > 0)
+  );
+}
+
+export { WboitGLTFPlugin };
@@ -0,0 +1,18 @@
+/**
+ * LineBasicWboitMaterial
+ *
+ * Line material (Line, LineSegments, LineLoop) with support for weighted, blended
+ * order-independent transparency, supports all properties of LineBasicMaterial
+ */
+
+import { LineBasicMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const LineBasicWboitMaterial = createWboitMaterial(
+  LineBasicMaterial,
+  "LineBasicWboitMaterial",
+  "basic"
+);
+
+export { LineBasicWboitMaterial };
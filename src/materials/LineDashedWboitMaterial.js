@@ -0,0 +1,18 @@
+/**
+ * LineDashedWboitMaterial
+ *
+ * Dashed line material (Line, LineSegments, LineLoop) with support for weighted, blended
+ * order-independent transparency, supports all properties of LineDashedMaterial
+ */
+
+import { LineDashedMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const LineDashedWboitMaterial = createWboitMaterial(
+  LineDashedMaterial,
+  "LineDashedWboitMaterial",
+  "dashed"
+);
+
+export { LineDashedWboitMaterial };
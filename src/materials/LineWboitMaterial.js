@@ -0,0 +1,19 @@
+/**
+ * LineWboitMaterial
+ *
+ * Wide line material (Line2, LineSegments2, Wireframe) with support for weighted, blended
+ * order-independent transparency, supports all properties of LineMaterial
+ */
+
+import { LineMaterial } from "three/examples/jsm/lines/LineMaterial.js";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+// LineMaterial properties read from 'this.uniforms', replaced by the merged uniforms
+const LineWboitMaterial = createWboitMaterial(
+  LineMaterial,
+  "LineWboitMaterial",
+  "line"
+);
+
+export { LineWboitMaterial };
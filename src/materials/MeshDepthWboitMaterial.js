@@ -0,0 +1,39 @@
+/**
+ * MeshDepthWboitMaterial
+ *
+ * Shadow depth material of WBOIT objects for directional and spot lights, casts shadows in
+ * proportion to the opacity of 'sourceMaterial' (hashed alpha). WboitPass draws WBOIT objects
+ * that cast shadows with it (see WboitPass.transparentShadows), it can also be used as
+ * 'customDepthMaterial'.
+ */
+
+import { MeshDepthMaterial, RGBADepthPacking, ShaderLib } from "three";
+
+import { setupWboitShadowMaterial } from "./WboitMaterialUtils.js";
+
+class MeshDepthWboitMaterial extends MeshDepthMaterial {
+  constructor(parameters = {}) {
+    super();
+
+    this.isMeshDepthWboitMaterial = true;
+
+    this.type = "MeshDepthWboitMaterial";
+
+    // Packing of shadow maps
+    this.depthPacking = RGBADepthPacking;
+
+    setupWboitShadowMaterial(this, ShaderLib.depth);
+
+    this.setValues(parameters);
+  }
+
+  copy(source) {
+    super.copy(source);
+
+    this.sourceMaterial = source.sourceMaterial;
+
+    return this;
+  }
+}
+
+export { MeshDepthWboitMaterial };
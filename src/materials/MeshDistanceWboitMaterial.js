@@ -0,0 +1,35 @@
+/**
+ * MeshDistanceWboitMaterial
+ *
+ * Shadow distance material of WBOIT objects for point lights, casts shadows in proportion to the
+ * opacity of 'sourceMaterial' (hashed alpha). WboitPass draws WBOIT objects that cast shadows
+ * with it (see WboitPass.transparentShadows), it can also be used as 'customDistanceMaterial'.
+ */
+
+import { MeshDistanceMaterial, ShaderLib } from "three";
+
+import { setupWboitShadowMaterial } from "./WboitMaterialUtils.js";
+
+class MeshDistanceWboitMaterial extends MeshDistanceMaterial {
+  constructor(parameters = {}) {
+    super();
+
+    this.isMeshDistanceWboitMaterial = true;
+
+    this.type = "MeshDistanceWboitMaterial";
+
+    setupWboitShadowMaterial(this, ShaderLib.distanceRGBA);
+
+    this.setValues(parameters);
+  }
+
+  copy(source) {
+    super.copy(source);
+
+    this.sourceMaterial = source.sourceMaterial;
+
+    return this;
+  }
+}
+
+export { MeshDistanceWboitMaterial };
@@ -0,0 +1,18 @@
+/**
+ * MeshLambertWboitMaterial
+ *
+ * Lambert shaded material with support for weighted, blended order-independent transparency,
+ * based on MeshLambertMaterial (lights, shadows and environment maps are supported)
+ */
+
+import { MeshLambertMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const MeshLambertWboitMaterial = createWboitMaterial(
+  MeshLambertMaterial,
+  "MeshLambertWboitMaterial",
+  "lambert"
+);
+
+export { MeshLambertWboitMaterial };
@@ -0,0 +1,18 @@
+/**
+ * MeshPhongWboitMaterial
+ *
+ * Blinn-Phong shaded material with support for weighted, blended order-independent transparency,
+ * based on MeshPhongMaterial (lights, shadows and environment maps are supported)
+ */
+
+import { MeshPhongMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const MeshPhongWboitMaterial = createWboitMaterial(
+  MeshPhongMaterial,
+  "MeshPhongWboitMaterial",
+  "phong"
+);
+
+export { MeshPhongWboitMaterial };
@@ -0,0 +1,23 @@
+/**
+ * MeshPhysicalWboitMaterial
+ *
+ * Physically based material (clearcoat, sheen, iridescence, ...) with support for weighted,
+ * blended order-independent transparency, based on MeshPhysicalMaterial (lights, shadows and
+ * environment maps are supported)
+ */
+
+import { MeshPhysicalMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const MeshPhysicalWboitMaterial = createWboitMaterial(
+  MeshPhysicalMaterial,
+  "MeshPhysicalWboitMaterial",
+  "physical",
+  (material) => {
+    // Enabled by the renderer for the built-in physical shader only (WebGL 1)
+    material.extensions = { derivatives: true };
+  }
+);
+
+export { MeshPhysicalWboitMaterial };
@@ -0,0 +1,18 @@
+/**
+ * MeshStandardWboitMaterial
+ *
+ * Physically based material with support for weighted, blended order-independent transparency,
+ * based on MeshStandardMaterial (lights, shadows and environment maps are supported)
+ */
+
+import { MeshStandardMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const MeshStandardWboitMaterial = createWboitMaterial(
+  MeshStandardMaterial,
+  "MeshStandardWboitMaterial",
+  "standard"
+);
+
+export { MeshStandardWboitMaterial };
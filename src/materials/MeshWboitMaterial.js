@@ -5,17 +5,15 @@
  */
 
 import {
+  Color,
   UniformsUtils,
   UniformsLib,
   ShaderMaterial,
   MultiplyOperation,
 } from "three";
 
-const WboitStages = {
-  Normal: 0.0,
-  Acummulation: 1.0,
-  Revealage: 2.0,
-};
+import { WboitStages, WboitUniforms } from "../shaders/WboitShaderChunk.js";
+import { defineInstanceProperties } from "./WboitMaterialUtils.js";
 
 const WboitBasicShader = {
   // based on MeshBasicMaterial
@@ -24,10 +22,7 @@ const WboitBasicShader = {
   // https://github.com/mrdoob/three.js/blob/dev/src/renderers/shaders/ShaderLib/meshbasic.glsl.js
 
   uniforms: UniformsUtils.merge([
-    {
-      renderStage: { value: 0.0 },
-      weight: { value: 1.0 },
-    },
+    WboitUniforms,
     UniformsLib.common,
     UniformsLib.specularmap,
     UniformsLib.envmap,
@@ -50,6 +45,8 @@ const WboitBasicShader = {
 		#include <logdepthbuf_pars_vertex>
 		#include <clipping_planes_pars_vertex>
 
+		#include <wboit_pars_vertex>
+
 		void main() {
 
 			// MeshBasicMaterial
@@ -79,6 +76,8 @@ const WboitBasicShader = {
 			#include <envmap_vertex>
 			#include <fog_vertex>
 
+			#include <wboit_vertex>
+
 		}`,
 
   fragmentShader: /* glsl */ `
@@ -114,10 +113,7 @@ const WboitBasicShader = {
 		#include <logdepthbuf_pars_fragment>
 		#include <clipping_planes_pars_fragment>
 
-		// MeshWboitMaterial
-
-		uniform float renderStage;
-		uniform float weight;
+		#include <wboit_pars_fragment>
 
 		void main() {
 
@@ -166,45 +162,8 @@ const WboitBasicShader = {
 			#include <premultiplied_alpha_fragment>
 			#include <dithering_fragment>
 
-			// MeshWboitMaterial
-
-			if ( renderStage == ${WboitStages.Acummulation.toFixed(1)} ) {
-
-				vec4 accum = gl_FragColor.rgba;
-
-				#ifndef PREMULTIPLIED_ALPHA
-					// accum.rgb *= accum.a;
-					vec4 alphaMapColor = texture2D(alphamapTexture, vUv);
-					float alphaValue = alphaMapColor.r;
-					accum.rgb *= alphaValue;
-				#endif
-
-				float z = gl_FragCoord.z;
-
-				/* Equation #9 */
-				float w = accum.a * clamp( 0.03 / ( 1e-5 + pow( abs( z ) / 200.0, 4.0 ) ), 0.01, 300.0 );
-
-				/* McGuire 10/2013 */
-				// float w = clamp( pow( ( accum.a * 8.0 + 0.01 ) * ( - z * 0.95 + 1.0 ), 3.0 ) * 1e3, 1e-2, 3e2 );
-
-				/* Stevinz, Adjustable Weight */
-				//float scaleWeight = 0.7 + ( 0.3 * weight );
-				//float w = clamp( pow( ( accum.a * 8.0 + 0.001 ) * ( - z * scaleWeight + 1.0 ), 3.0 ) * 1000.0, 0.001, 300.0 );
+			#include <wboit_fragment>
 
-				gl_FragColor = accum * w;
-				gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
-
-			} else if ( renderStage == ${WboitStages.Revealage.toFixed(1)} ) {
-
-				/* McGuire 10/2013 */
-				gl_FragColor = vec4( gl_FragColor.a );
-
-				/* Stevinz, Distance Weighted */
-				//gl_FragColor = vec4( gl_FragColor.a * gl_FragCoord.z );
-
-			}
-
-				gl_FragColor = vec4(0.0, 1.0, 0.0, 1.0);
 		}`,
 };
 
@@ -215,6 +174,7 @@ class MeshWboitMaterial extends ShaderMaterial {
     super();
 
     this.isMeshWboitMaterial = true;
+    this.isWboitMaterial = true;
 
     this.type = "MeshWboitMaterial";
 
@@ -222,6 +182,10 @@ class MeshWboitMaterial extends ShaderMaterial {
 
     this.wboitEnabled = true;
 
+    // Name of weight function (see WboitWeights), null uses weight function of WboitPass
+
+    this.weightFunction = null;
+
     //
 
     const shader = WboitBasicShader;
@@ -244,6 +208,12 @@ class MeshWboitMaterial extends ShaderMaterial {
 
     this.fog = true;
 
+    // volume absorption (see WboitPass.thicknessPass), KHR_materials_volume / MeshPhysicalMaterial
+
+    this.attenuationColor = new Color(0xffffff);
+    this.attenuationDistance = Infinity;
+    this.thickness = 0;
+
     // properties (associated w/ uniforms)
 
     const exposePropertyNames = [
@@ -269,6 +239,7 @@ class MeshWboitMaterial extends ShaderMaterial {
       // MeshWboitMaterial,
 
       "weight",
+      "transmissionColor",
     ];
 
     for (const propertyName of exposePropertyNames) {
@@ -289,6 +260,10 @@ class MeshWboitMaterial extends ShaderMaterial {
       Object.getOwnPropertyDescriptor(this, "diffuse")
     );
 
+    // per-instance opacity / weight (defines)
+
+    defineInstanceProperties(this);
+
     this.setValues(parameters);
   }
 
@@ -326,6 +301,13 @@ class MeshWboitMaterial extends ShaderMaterial {
     // MeshWboitMaterial
 
     this.weight = source.weight;
+    this.weightFunction = source.weightFunction;
+    this.transmissionColor.copy(source.transmissionColor);
+    this.instanceOpacity = source.instanceOpacity;
+    this.instanceWeight = source.instanceWeight;
+    this.attenuationColor.copy(source.attenuationColor);
+    this.attenuationDistance = source.attenuationDistance;
+    this.thickness = source.thickness;
 
     return this;
   }
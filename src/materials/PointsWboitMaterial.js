@@ -0,0 +1,18 @@
+/**
+ * PointsWboitMaterial
+ *
+ * Points material (Points) with support for weighted, blended order-independent transparency,
+ * supports all properties of PointsMaterial
+ */
+
+import { PointsMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const PointsWboitMaterial = createWboitMaterial(
+  PointsMaterial,
+  "PointsWboitMaterial",
+  "points"
+);
+
+export { PointsWboitMaterial };
@@ -0,0 +1,18 @@
+/**
+ * SpriteWboitMaterial
+ *
+ * Sprite material (Sprite) with support for weighted, blended order-independent transparency,
+ * supports all properties of SpriteMaterial
+ */
+
+import { SpriteMaterial } from "three";
+
+import { createWboitMaterial } from "./WboitMaterialUtils.js";
+
+const SpriteWboitMaterial = createWboitMaterial(
+  SpriteMaterial,
+  "SpriteWboitMaterial",
+  "sprite"
+);
+
+export { SpriteWboitMaterial };
@@ -0,0 +1,361 @@
+/**
+ * Shared setup of the WBOIT variants of three.js materials
+ *
+ * The materials keep the shader of the material they extend (see ShaderLib), with the WBOIT
+ * chunks added. They are given their own 'type', so the renderer compiles the material's
+ * 'vertexShader', 'fragmentShader' and 'uniforms' instead of the built-in program. Lights,
+ * shadows and environment maps are still set up by the renderer, which checks flags such as
+ * 'isMeshStandardMaterial' for these.
+ */
+
+import { Color, GLSL3, ShaderLib, UniformsUtils } from "three";
+
+import { WboitUniforms } from "../shaders/WboitShaderChunk.js";
+
+const _transmissionNone = new Color(0x000000);
+
+const _multipleOutputs = new WeakMap();
+
+function setupWboitMaterial(material, shader) {
+  material.isWboitMaterial = true;
+
+  // Flag for WboitPass
+
+  material.wboitEnabled = true;
+
+  // Name of weight function (see WboitWeights), null uses weight function of WboitPass
+
+  material.weightFunction = null;
+
+  //
+
+  material.uniforms = UniformsUtils.merge([shader.uniforms, WboitUniforms]);
+  material.vertexShader = shader.vertexShader;
+  material.fragmentShader = shader.fragmentShader;
+
+  injectWboitShader(material);
+
+  material.transparent = true;
+
+  // Volume absorption, MeshPhysicalMaterial already has a volume
+
+  if (material.attenuationColor === undefined) {
+    material.attenuationColor = new Color(0xffffff);
+    material.attenuationDistance = Infinity;
+    material.thickness = 0;
+  }
+
+  defineInstanceProperties(material);
+
+  // properties (associated w/ uniforms)
+
+  for (const propertyName of ["weight", "transmissionColor"]) {
+    Object.defineProperty(material, propertyName, {
+      get: function () {
+        return this.uniforms[propertyName].value;
+      },
+
+      set: function (value) {
+        this.uniforms[propertyName].value = value;
+      },
+    });
+  }
+}
+
+/**
+ * Setup of the shadow materials of WBOIT objects (based on MeshDepthMaterial and
+ * MeshDistanceMaterial). Opacity and transmission follow 'material.sourceMaterial', maps and alpha
+ * test are copied from the caster's material by the renderer.
+ */
+function setupWboitShadowMaterial(material, shader) {
+  material.sourceMaterial = null;
+
+  material.uniforms = UniformsUtils.merge([shader.uniforms]);
+  material.vertexShader = shader.vertexShader;
+  material.fragmentShader =
+    "#include <wboit_shadow_pars_fragment>\n" +
+    shader.fragmentShader.replace(
+      "#include <alphatest_fragment>",
+      "#include <alphatest_fragment>\n\t#include <wboit_shadow_fragment>"
+    );
+
+  // Read when uniforms are uploaded, so they stay in sync with the source material
+  material.uniforms.wboitShadowOpacity = {
+    get value() {
+      const source = material.sourceMaterial;
+      return source ? source.opacity : 1.0;
+    },
+  };
+
+  material.uniforms.wboitShadowTransmission = {
+    get value() {
+      const source = material.sourceMaterial;
+      return source && source.transmissionColor
+        ? source.transmissionColor
+        : _transmissionNone;
+    },
+  };
+}
+
+// Last chunks of three.js fragment shaders, the fragment color is final after them
+const _fragmentAnchors = [
+  "#include <dithering_fragment>",
+  "#include <premultiplied_alpha_fragment>",
+  "#include <fog_fragment>",
+  "#include <colorspace_fragment>",
+  "#include <encodings_fragment>",
+  "#include <tonemapping_fragment>",
+  "#include <opaque_fragment>",
+  "#include <output_fragment>",
+];
+
+// Fragment output of GLSL 3 shaders, 'layout( location = 0 )' (1) is optional, name (2)
+const _outputPattern =
+  /(layout\s*\(\s*location\s*=\s*0\s*\)\s*)?\bout\s+(?:(?:highp|mediump|lowp)\s+)?vec4\s+(\w+)\s*;/;
+
+/**
+ * Adds the WBOIT chunks to the 'vertexShader' and 'fragmentShader' of a shader (or material).
+ * Declarations go right before main(). 'wboit_fragment' follows the last output chunk of three.js
+ * shaders (dithering_fragment, opaque_fragment, ...), in shaders without these chunks it goes at
+ * the end of main() like 'wboit_vertex'.
+ *
+ * GLSL 3 shaders ('glslVersion' GLSL3, or '#version 300 es' in a RawShaderMaterial) write their
+ * own output instead of 'gl_FragColor', RawShaderMaterial also lacks the aliases for GLSL 1
+ * keywords that the renderer defines for other shaders. Both are added for the chunks.
+ *
+ * Returns false, and leaves the shader unchanged, if main() or the GLSL 3 output is not found.
+ */
+function injectWboitShader(shader) {
+  const raw = shader.isRawShaderMaterial === true;
+
+  const vertexShader = injectChunks(
+    shader.vertexShader,
+    "vertex",
+    raw,
+    isGLSL3(shader, shader.vertexShader)
+  );
+  const fragmentShader = injectChunks(
+    shader.fragmentShader,
+    "fragment",
+    raw,
+    isGLSL3(shader, shader.fragmentShader)
+  );
+
+  if (vertexShader === null || fragmentShader === null) return false;
+
+  shader.vertexShader = vertexShader;
+  shader.fragmentShader = fragmentShader;
+
+  return true;
+}
+
+/**
+ * Whether the fragment shader of a WBOIT material has the second output of the combined
+ * accumulation and revealage stage (multiple render targets, WebGL 2). The renderer converts
+ * shaders to GLSL 3, except for RawShaderMaterial written in GLSL 1.
+ */
+function hasMultipleOutputs(material) {
+  if (material.isRawShaderMaterial !== true) return true;
+
+  let entry = _multipleOutputs.get(material);
+
+  if (!entry || entry.source !== material.fragmentShader) {
+    entry = {
+      source: material.fragmentShader,
+      value: isGLSL3(material, material.fragmentShader),
+    };
+
+    _multipleOutputs.set(material, entry);
+  }
+
+  return entry.value;
+}
+
+function isGLSL3(shader, source) {
+  return (
+    shader.glslVersion === GLSL3 ||
+    (shader.isRawShaderMaterial === true &&
+      /^\s*#version\s+300\b/m.test(source))
+  );
+}
+
+function injectChunks(source, shaderType, raw, glsl3) {
+  let main = findMain(source);
+  if (!main) return null;
+
+  let pars = "";
+
+  if (raw && glsl3) {
+    pars +=
+      shaderType === "vertex"
+        ? "#define attribute in\n#define varying out\n"
+        : "#define varying in\n#define texture2D texture\n";
+  }
+
+  pars += `#include <wboit_pars_${shaderType}>\n`;
+
+  if (glsl3 && shaderType === "fragment") {
+    const output = _outputPattern.exec(source.slice(0, main.start));
+    if (!output) return null;
+
+    pars += `#define gl_FragColor ${output[2]}\n`;
+
+    // With a second output (accumulation alpha) both need a location
+    if (!output[1]) {
+      source =
+        source.slice(0, output.index) +
+        "layout( location = 0 ) " +
+        source.slice(output.index);
+
+      main = findMain(source);
+    }
+  }
+
+  let position = main.end;
+
+  // After the last output chunk in main(), if there is one
+  if (shaderType === "fragment") {
+    let last = -1;
+
+    for (const anchor of _fragmentAnchors) {
+      const index = source.lastIndexOf(anchor, main.end);
+      if (index > main.start) last = Math.max(last, index + anchor.length);
+    }
+
+    if (last !== -1) position = last;
+  }
+
+  return (
+    source.slice(0, main.start) +
+    pars +
+    "\n" +
+    source.slice(main.start, position) +
+    `\n\t#include <wboit_${shaderType}>\n` +
+    source.slice(position)
+  );
+}
+
+/**
+ * Finds main() of a shader, returns the index of its declaration and of the closing brace of
+ * its body (braces in comments are skipped), or null
+ */
+function findMain(source) {
+  const declaration = /\bvoid\s+main\s*\(\s*(?:void\s*)?\)\s*\{/.exec(source);
+  if (!declaration) return null;
+
+  let depth = 1;
+
+  for (
+    let i = declaration.index + declaration[0].length;
+    i < source.length;
+    i++
+  ) {
+    const char = source[i];
+
+    if (char === "/" && source[i + 1] === "/") {
+      i = source.indexOf("\n", i);
+      if (i === -1) return null;
+    } else if (char === "/" && source[i + 1] === "*") {
+      i = source.indexOf("*/", i + 2);
+      if (i === -1) return null;
+      i++;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return { start: declaration.index, end: i };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Adds the 'instanceOpacity' and 'instanceWeight' flags to a material. When set, the material reads
+ * per-instance opacity / weight of InstancedMesh and BatchedMesh objects (see WboitUtils.setOpacityAt),
+ * instances of meshes without values of their own are drawn at 1.0.
+ */
+function defineInstanceProperties(material) {
+  for (const [propertyName, define] of [
+    ["instanceOpacity", "WBOIT_INSTANCE_OPACITY"],
+    ["instanceWeight", "WBOIT_INSTANCE_WEIGHT"],
+  ]) {
+    Object.defineProperty(material, propertyName, {
+      configurable: true,
+
+      get: function () {
+        return this.defines !== undefined && this.defines[define] !== undefined;
+      },
+
+      set: function (value) {
+        if (value === this[propertyName]) return;
+
+        if (value) {
+          this.defines = Object.assign({}, this.defines, { [define]: "" });
+        } else {
+          this.defines = Object.assign({}, this.defines);
+          delete this.defines[define];
+        }
+
+        this.needsUpdate = true;
+      },
+    });
+  }
+}
+
+/**
+ * Creates the WBOIT variant of the material class 'BaseMaterial', named 'type' and drawn with the
+ * shader 'shaderName' of ShaderLib (looked up on construction, addons such as LineMaterial add
+ * theirs when loaded). 'setup( material )' runs before the parameters are set.
+ */
+function createWboitMaterial(BaseMaterial, type, shaderName, setup = null) {
+  const WboitMaterial = class extends BaseMaterial {
+    constructor(parameters = {}) {
+      super();
+
+      this[`is${type}`] = true;
+
+      this.type = type;
+
+      setupWboitMaterial(this, ShaderLib[shaderName]);
+
+      if (setup) setup(this);
+
+      this.setValues(parameters);
+    }
+
+    copy(source) {
+      super.copy(source);
+
+      return copyWboitProperties(this, source);
+    }
+  };
+
+  Object.defineProperty(WboitMaterial, "name", { value: type });
+
+  return WboitMaterial;
+}
+
+function copyWboitProperties(material, source) {
+  if (source.isWboitMaterial) {
+    material.weight = source.weight;
+    material.weightFunction = source.weightFunction;
+    material.transmissionColor.copy(source.transmissionColor);
+    material.instanceOpacity = source.instanceOpacity;
+    material.instanceWeight = source.instanceWeight;
+    material.attenuationColor.copy(source.attenuationColor);
+    material.attenuationDistance = source.attenuationDistance;
+    material.thickness = source.thickness;
+  }
+
+  return material;
+}
+
+export {
+  copyWboitProperties,
+  createWboitMaterial,
+  defineInstanceProperties,
+  hasMultipleOutputs,
+  injectWboitShader,
+  setupWboitMaterial,
+  setupWboitShadowMaterial,
+};
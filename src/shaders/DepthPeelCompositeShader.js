@@ -0,0 +1,54 @@
+/**
+ * Combine front to back blended depth peeling layers with the opaque and transparent (non WBOIT)
+ * render behind them
+ */
+
+import "./WboitShaderChunk.js";
+
+const DepthPeelCompositeShader = {
+  uniforms: {
+    tScene: { value: null },
+    tPeel: { value: null },
+  },
+
+  vertexShader: /* glsl */ `
+
+		varying vec2 vUv;
+
+		void main() {
+
+			vUv = uv;
+			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+
+		}`,
+
+  fragmentShader: /* glsl */ `
+
+		precision highp float;
+		precision highp int;
+
+		varying vec2 vUv;
+
+		uniform sampler2D tScene;
+		uniform sampler2D tPeel;
+
+		void main() {
+
+			// opaque and transparent objects, premultiplied alpha
+			vec4 scene = texture2D( tScene, vUv );
+
+			// rgb holds premultiplied color of all layers, alpha holds remaining transmittance
+			vec4 peel = texture2D( tPeel, vUv );
+			if ( scene.a == 0.0 && peel.a >= 0.9999 ) discard;
+
+			vec3 color = peel.a < 0.9999 ? peel.rgb / ( 1.0 - peel.a ) : vec3( 0.0 );
+
+			// blended over background by 1.0 - alpha
+			gl_FragColor = vec4( color * ( 1.0 - peel.a ) + scene.rgb * peel.a, 1.0 - peel.a * ( 1.0 - scene.a ) );
+
+			#include <wboit_output_fragment>
+
+		}`,
+};
+
+export { DepthPeelCompositeShader };
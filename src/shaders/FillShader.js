@@ -2,20 +2,15 @@
  * Color fill shader
  */
 
-import {
-	Color
-} from 'three';
+import { Color } from "three";
 
 const FillShader = {
+  uniforms: {
+    color: { value: new Color(0xffffff) },
+    opacity: { value: 1.0 },
+  },
 
-	uniforms: {
-
-		'color': { value: new Color( 0xffffff ) },
-		'opacity': { value: 1.0 }
-
-	},
-
-	vertexShader: /* glsl */`
+  vertexShader: /* glsl */ `
 
 		void main() {
 
@@ -23,7 +18,7 @@ const FillShader = {
 
 		}`,
 
-	fragmentShader: /* glsl */`
+  fragmentShader: /* glsl */ `
 
 		uniform vec3 color;
 		uniform float opacity;
@@ -32,8 +27,7 @@ const FillShader = {
 
 			gl_FragColor = vec4( color, opacity );
 
-		}`
-
+		}`,
 };
 
 export { FillShader };
@@ -1,31 +1,24 @@
-
 /**
  * MeshBasicMaterial as a ShaderMaterial
  */
 
-import {
-    ShaderChunk,
-    UniformsLib,
-	UniformsUtils
-} from 'three';
+import { ShaderChunk, UniformsLib, UniformsUtils } from "three";
 
 const MeshBasicShaderMaterial = {
+  defines: { USE_MAP: "", USE_UV: "" },
 
-    defines: { USE_MAP: '', USE_UV: '', },
-
-    uniforms: UniformsUtils.merge( [
-        UniformsLib.common,
-        UniformsLib.specularmap,
-        UniformsLib.envmap,
-        UniformsLib.aomap,
-        UniformsLib.lightmap,
-        UniformsLib.fog
-    ] ),
-
-    vertexShader: ShaderChunk.meshbasic_vert,
+  uniforms: UniformsUtils.merge([
+    UniformsLib.common,
+    UniformsLib.specularmap,
+    UniformsLib.envmap,
+    UniformsLib.aomap,
+    UniformsLib.lightmap,
+    UniformsLib.fog,
+  ]),
 
-    fragmentShader: ShaderChunk.meshbasic_frag,
+  vertexShader: ShaderChunk.meshbasic_vert,
 
+  fragmentShader: ShaderChunk.meshbasic_frag,
 };
 
 export { MeshBasicShaderMaterial };
@@ -1,18 +1,29 @@
 /**
- * Combine accumulation and revealage for weighted, blended order-independent transparency
+ * Combine accumulation and revealage for weighted, blended order-independent transparency, with
+ * the opaque and transparent (non WBOIT) render behind them and the exact front layers of the
+ * hybrid mode (see WboitPass.exactLayers) in front of them
  */
 
-const WboitCompositeShader = {
-
-	uniforms: {
-
-		'tAccumulation': { value: null },
-		'tRevealage': { value: null },
-		'uGamma': { value: 0 },
+import { Vector2 } from "three";
 
-	},
+import "./WboitShaderChunk.js";
 
-	vertexShader: /* glsl */`
+const WboitCompositeShader = {
+  uniforms: {
+    tScene: { value: null },
+    tAccumulation: { value: null },
+    tRevealage: { value: null },
+    uMultipleRenderTargets: { value: 0 },
+    uColoredTransmission: { value: 0 },
+    tExact: { value: null },
+    uExact: { value: 0 },
+    tDepth: { value: null },
+    tWboitDepth: { value: null },
+    uWboitResolution: { value: new Vector2(1, 1) },
+    uUpsample: { value: 0 },
+  },
+
+  vertexShader: /* glsl */ `
 
 		varying vec2 vUv;
 
@@ -23,16 +34,22 @@ const WboitCompositeShader = {
 
 		}`,
 
-	fragmentShader: /* glsl */`
+  fragmentShader: /* glsl */ `
 
 		precision highp float;
 		precision highp int;
 
 		varying vec2 vUv;
 
+		uniform sampler2D tScene;
 		uniform sampler2D tAccumulation;
 		uniform sampler2D tRevealage;
-		uniform float uGamma;
+		uniform float uMultipleRenderTargets;
+		uniform float uColoredTransmission;
+		uniform sampler2D tExact;
+		uniform float uExact;
+
+		#include <wboit_upsample_pars_fragment>
 
 		float EPSILON = 0.00001;
 
@@ -44,23 +61,56 @@ const WboitCompositeShader = {
 
 		void main() {
 
-			float reveal = texture2D( tRevealage, vUv ).r;
-			if ( fuzzyEqual( reveal, 1.0 ) ) discard;
+			// opaque and transparent objects, premultiplied alpha
+			vec4 scene = texture2D( tScene, vUv );
 
-			vec4 accum = texture2D( tAccumulation, vUv );
+			float reveal;
+			vec3 transmission;
+			vec4 accum;
 
-			vec4 composite = vec4( accum.rgb / clamp( accum.a, 0.0001, 50000.0 ), reveal );
-			vec4 color = clamp( composite, 0.01, 300.0 );
+			if ( uMultipleRenderTargets > 0.0 ) {
+
+				// accumulation rgb + revealage alpha, accumulation alpha stored separately
+				accum = wboitSample( tAccumulation, vUv );
+				reveal = accum.a;
+				transmission = vec3( reveal );
+				accum.a = wboitSample( tRevealage, vUv ).r;
+
+			} else {
+
+				// colored transmission rgb, scalar revealage alpha
+				vec4 revealage = wboitSample( tRevealage, vUv );
+				reveal = revealage.a;
+				transmission = revealage.rgb;
+				accum = wboitSample( tAccumulation, vUv );
 
-			// LinearTosRGB( color );
-			if (uGamma > 0.0) {
-				color.rgb = mix( pow( color.rgb, vec3( 0.41666 ) ) * 1.055 - vec3( 0.055 ), color.rgb * 12.92, vec3( lessThanEqual( color.rgb, vec3( 0.0031308 ) ) ) );
 			}
 
-			gl_FragColor = color;
+			// exact front layers, premultiplied color and remaining transmittance
+			vec4 exact = uExact > 0.0 ? texture2D( tExact, vUv ) : vec4( 0.0, 0.0, 0.0, 1.0 );
 
-		}`,
+			if ( scene.a == 0.0 && fuzzyEqual( reveal, 1.0 ) && exact.a >= 1.0 - EPSILON ) discard;
+
+			vec3 color = clamp( accum.rgb / clamp( accum.a, 0.0001, 50000.0 ), 0.01, 300.0 );
 
+			if ( uColoredTransmission > 0.0 ) {
+
+				// background has already been multiplied by transmission (WboitTransmissionShader)
+				gl_FragColor = vec4( color * ( 1.0 - transmission ) + scene.rgb * transmission, 1.0 );
+
+			} else {
+
+				// blended over background by 1.0 - alpha
+				gl_FragColor = vec4( color * ( 1.0 - reveal ) + scene.rgb * reveal, 1.0 - reveal * ( 1.0 - scene.a ) );
+
+			}
+
+			// front layers over everything behind them
+			gl_FragColor = vec4( exact.rgb + exact.a * gl_FragColor.rgb, 1.0 - exact.a * ( 1.0 - gl_FragColor.a ) );
+
+			#include <wboit_output_fragment>
+
+		}`,
 };
 
 export { WboitCompositeShader };
@@ -0,0 +1,86 @@
+/**
+ * Show the contents of the WBOIT targets instead of the composite (see WboitPass.debugView)
+ *
+ *  uDebugView  1.0: accumulation rgb, 2.0: accumulation alpha, 3.0: revealage,
+ *              4.0: weight heatmap, 5.0: overdraw heatmap
+ */
+
+const WboitDebugShader = {
+  uniforms: {
+    tAccumulation: { value: null },
+    tRevealage: { value: null },
+    uMultipleRenderTargets: { value: 0 },
+    uDebugView: { value: 0 },
+  },
+
+  vertexShader: /* glsl */ `
+
+		varying vec2 vUv;
+
+		void main() {
+
+			vUv = uv;
+			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+
+		}`,
+
+  fragmentShader: /* glsl */ `
+
+		precision highp float;
+		precision highp int;
+
+		varying vec2 vUv;
+
+		uniform sampler2D tAccumulation;
+		uniform sampler2D tRevealage;
+		uniform float uMultipleRenderTargets;
+		uniform float uDebugView;
+
+		// blue (low) to red (high)
+		vec3 heatmap( float t ) {
+
+			return clamp( vec3( 1.5 ) - abs( 4.0 * t - vec3( 3.0, 2.0, 1.0 ) ), 0.0, 1.0 );
+
+		}
+
+		void main() {
+
+			vec4 accum = texture2D( tAccumulation, vUv );
+			vec4 revealage = texture2D( tRevealage, vUv );
+
+			float accumAlpha = uMultipleRenderTargets > 0.0 ? revealage.r : accum.a;
+			float reveal = uMultipleRenderTargets > 0.0 ? accum.a : revealage.a;
+
+			vec3 color = vec3( 0.0 );
+
+			if ( uDebugView == 1.0 ) {
+
+				color = accum.rgb;
+
+			} else if ( uDebugView == 2.0 ) {
+
+				color = vec3( accumAlpha );
+
+			} else if ( uDebugView == 3.0 ) {
+
+				color = vec3( reveal );
+
+			} else if ( uDebugView == 4.0 ) {
+
+				// weight on a log scale in red, alpha marks covered pixels
+				if ( accum.a > 0.0 ) color = heatmap( accum.r );
+
+			} else if ( uDebugView == 5.0 ) {
+
+				// WBOIT and transparent fragments per pixel, 16 or more are red
+				float count = floor( accum.r * 255.0 + 0.5 );
+				if ( count > 0.0 ) color = heatmap( count / 16.0 );
+
+			}
+
+			gl_FragColor = vec4( color, 1.0 );
+
+		}`,
+};
+
+export { WboitDebugShader };
@@ -0,0 +1,51 @@
+/**
+ * Merge separately rendered accumulation and revealage into the targets of a combined (multiple
+ * render targets) render, for WBOIT objects whose shaders lack the second output of the combined
+ * stage. Blended like the combined stage: accumulation adds up, revealage multiplies.
+ */
+
+const WboitMergeShader = {
+  uniforms: {
+    tAccumulation: { value: null },
+    tRevealage: { value: null },
+  },
+
+  vertexShader: /* glsl */ `
+
+		varying vec2 vUv;
+
+		void main() {
+
+			vUv = uv;
+			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+
+		}`,
+
+  fragmentShader: /* glsl */ `
+
+		precision highp float;
+
+		varying vec2 vUv;
+
+		uniform sampler2D tAccumulation;
+		uniform sampler2D tRevealage;
+
+		#if __VERSION__ >= 300
+			layout( location = 1 ) out highp vec4 wboitAccumulationAlpha;
+		#endif
+
+		void main() {
+
+			vec4 accum = texture2D( tAccumulation, vUv );
+
+			// accumulation rgb + share of background the objects cover, accumulation alpha
+			gl_FragColor = vec4( accum.rgb, 1.0 - texture2D( tRevealage, vUv ).a );
+
+			#if __VERSION__ >= 300
+				wboitAccumulationAlpha = vec4( accum.a );
+			#endif
+
+		}`,
+};
+
+export { WboitMergeShader };
@@ -0,0 +1,453 @@
+/**
+ * Shader chunks shared by all WBOIT materials (MeshWboitMaterial, lit WBOIT materials and patched materials)
+ *
+ *  #include <wboit_pars_vertex>       per-instance opacity / weight inputs
+ *  #include <wboit_vertex>            passes per-instance opacity / weight to the fragment shader
+ *  #include <wboit_pars_fragment>     uniforms, weight functions and second render target output
+ *  #include <wboit_fragment>          converts 'gl_FragColor' to the output of the current render stage
+ *  #include <wboit_upsample_pars_fragment>    wboitSample(), reads reduced resolution WBOIT targets
+ *                                              in full screen passes (see WboitPass.resolutionScale)
+ *  #include <wboit_output_fragment>   tone mapping and output color space of full screen passes
+ *  #include <wboit_shadow_pars_fragment>  uniforms of WBOIT shadow materials (MeshDepthWboitMaterial,
+ *  #include <wboit_shadow_fragment>       MeshDistanceWboitMaterial), hashed alpha after alpha test
+ *
+ * 'wboit_vertex' and 'wboit_fragment' go at the end of main(), 'wboit_fragment' after the fragment
+ * color is final.
+ *
+ * Volume absorption (Beer-Lambert) is enabled by a 'wboitAttenuationDistance' above zero, opacity
+ * and colored transmission then follow the distance light travels through the medium (see
+ * WboitPass.thicknessPass). Uniforms of the volume are prefixed, MeshPhysicalMaterial has uniforms
+ * of the same names.
+ *
+ * Per-instance opacity and weight are enabled with the defines WBOIT_INSTANCE_OPACITY and
+ * WBOIT_INSTANCE_WEIGHT. InstancedMesh and BatchedMesh read them from 'wboitInstanceTexture' of the
+ * mesh (opacity in red, weight in green, WebGL 2), bound while 'wboitUseInstanceTexture' is set.
+ * Instances default to 1.0 without it.
+ */
+
+import { Color, REVISION, ShaderChunk, Vector2, Vector3, Vector4 } from "three";
+
+import "../WboitWeights.js";
+
+const WboitStages = {
+  Normal: 0.0,
+  Acummulation: 1.0,
+  Revealage: 2.0,
+  Combined: 3.0,
+  Peel: 4.0,
+  Weight: 5.0,
+  Overdraw: 6.0,
+  Thickness: 7.0,
+};
+
+// Accumulation output, weights are compressed to fit 8-bit render targets with 'Normalized'
+const WboitEncodings = {
+  Linear: 0,
+  Normalized: 1,
+};
+
+const WboitUniforms = {
+  renderStage: { value: 0.0 },
+  weight: { value: 1.0 },
+  weightFunctionIndex: { value: 0 },
+  accumulationEncoding: { value: WboitEncodings.Linear },
+  peelDepth: { value: null },
+  opaqueDepth: { value: null },
+  peelResolution: { value: new Vector2(1, 1) },
+  exactLayers: { value: 0 },
+  opacityThreshold: { value: 0.0 },
+  transmissionColor: { value: new Color(0x000000) },
+  wboitInstanceTexture: { value: null },
+  wboitUseInstanceTexture: { value: 0.0 },
+  wboitAttenuationColor: { value: new Color(0xffffff) },
+  wboitAttenuationDistance: { value: 0.0 },
+  wboitThickness: { value: 0.0 },
+  wboitBackDistance: { value: null },
+  wboitVolumeChannel: { value: new Vector4(0, 0, 0, 0) },
+  wboitCamera: { value: new Vector3(0.1, 2000, 0) },
+};
+
+// BatchedMesh draws are indexed with gl_DrawID since three r166
+const _batchingIndex =
+  parseInt(REVISION) >= 166
+    ? "float( getIndirectIndex( gl_DrawID ) )"
+    : "batchId";
+
+ShaderChunk.wboit_pars_vertex = /* glsl */ `
+
+	// WBOIT
+
+	#if defined( WBOIT_INSTANCE_OPACITY ) || defined( WBOIT_INSTANCE_WEIGHT )
+
+		varying vec2 vWboitInstance;
+
+		#if __VERSION__ >= 300 && ( defined( USE_BATCHING ) || defined( USE_INSTANCING ) )
+
+			uniform highp sampler2D wboitInstanceTexture;
+			uniform float wboitUseInstanceTexture;
+
+			vec2 getWboitInstance( const in float i ) {
+
+				int size = textureSize( wboitInstanceTexture, 0 ).x;
+				int j = int( i );
+				int x = j % size;
+				int y = j / size;
+				return texelFetch( wboitInstanceTexture, ivec2( x, y ), 0 ).rg;
+
+			}
+
+		#endif
+
+	#endif
+`;
+
+ShaderChunk.wboit_vertex = /* glsl */ `
+
+	// WBOIT
+
+	#if defined( WBOIT_INSTANCE_OPACITY ) || defined( WBOIT_INSTANCE_WEIGHT )
+
+		/* opacity, weight */
+		vWboitInstance = vec2( 1.0 );
+
+		#if __VERSION__ >= 300 && ( defined( USE_BATCHING ) || defined( USE_INSTANCING ) )
+
+			if ( wboitUseInstanceTexture > 0.5 ) {
+
+				#if defined( USE_BATCHING )
+					vWboitInstance = getWboitInstance( ${_batchingIndex} );
+				#else
+					vWboitInstance = getWboitInstance( float( gl_InstanceID ) );
+				#endif
+
+			}
+
+		#endif
+
+	#endif
+`;
+
+ShaderChunk.wboit_pars_fragment = /* glsl */ `
+
+	// WBOIT
+
+	uniform float renderStage;
+	uniform float weight;
+	uniform vec3 transmissionColor;
+	uniform int accumulationEncoding;
+
+	uniform highp sampler2D peelDepth;
+	uniform highp sampler2D opaqueDepth;
+	uniform vec2 peelResolution;
+
+	uniform float exactLayers;
+	uniform float opacityThreshold;
+
+	uniform vec3 wboitAttenuationColor;
+	uniform float wboitAttenuationDistance;
+	uniform float wboitThickness;
+	uniform highp sampler2D wboitBackDistance;
+	uniform vec4 wboitVolumeChannel;
+	uniform vec3 wboitCamera;
+
+	/* Distance to the camera plane of a depth buffer value, 'wboitCamera' holds near, far and 1.0
+	   for orthographic cameras */
+	float wboitViewDistance( float depth ) {
+
+		float near = wboitCamera.x;
+		float far = wboitCamera.y;
+
+		if ( wboitCamera.z > 0.0 ) return near + depth * ( far - near );
+
+		return ( near * far ) / ( far - depth * ( far - near ) );
+
+	}
+
+	/* Volume absorption, distance from the fragment to the nearest back face of its object behind
+	   it (thickness pass, inverse distance in the channel 'wboitVolumeChannel' selects), or the
+	   constant thickness of the material */
+	float wboitVolumeThickness() {
+
+		if ( any( greaterThan( wboitVolumeChannel, vec4( 0.0 ) ) ) ) {
+
+			float inverseBack = dot( texture2D( wboitBackDistance, gl_FragCoord.xy / peelResolution ), wboitVolumeChannel );
+			float distance = wboitViewDistance( gl_FragCoord.z );
+
+			if ( inverseBack > 0.0 && 1.0 / inverseBack > distance ) return 1.0 / inverseBack - distance;
+
+		}
+
+		return wboitThickness;
+
+	}
+
+	/* Hybrid mode, share of alpha a front layer fragment renders exactly (see WboitPass.exactLayers) */
+	float wboitExactShare( float alpha ) {
+
+		return smoothstep( opacityThreshold - 0.1, opacityThreshold, alpha );
+
+	}
+
+	#include <wboit_weights_pars_fragment>
+
+	#if __VERSION__ >= 300
+		layout( location = 1 ) out highp vec4 wboitAccumulationAlpha;
+	#endif
+
+	#if defined( WBOIT_INSTANCE_OPACITY ) || defined( WBOIT_INSTANCE_WEIGHT )
+		varying vec2 vWboitInstance;
+	#endif
+`;
+
+ShaderChunk.wboit_fragment = /* glsl */ `
+
+	// WBOIT
+
+	/* Thickness pass, inverse distance of the back face in the channel of the volume. Volumes share
+	   the target, max blending keeps the nearest back face of each. */
+	if ( renderStage == ${WboitStages.Thickness.toFixed(1)} ) {
+
+		gl_FragColor = wboitVolumeChannel / wboitViewDistance( gl_FragCoord.z );
+		return;
+
+	}
+
+	float wboitWeightModifier = weight;
+
+	#ifdef WBOIT_INSTANCE_OPACITY
+
+		#ifdef PREMULTIPLIED_ALPHA
+			gl_FragColor *= vWboitInstance.x;
+		#else
+			gl_FragColor.a *= vWboitInstance.x;
+		#endif
+
+	#endif
+
+	#ifdef WBOIT_INSTANCE_WEIGHT
+		wboitWeightModifier *= vWboitInstance.y;
+	#endif
+
+	vec3 wboitTransmission = transmissionColor;
+
+	bool normalStage = renderStage == ${WboitStages.Normal.toFixed(1)};
+
+	/* Volume absorption (Beer-Lambert), the medium transmits 'attenuationColor' after
+	   'attenuationDistance'. Alpha (the fragment's coverage) is scaled by the share of light the
+	   volume absorbs, colored transmission is the transmittance relative to that share. Double
+	   sided volumes are absorbed once, at their front faces. */
+	if ( wboitAttenuationDistance > 0.0 && ! normalStage ) {
+
+		#ifdef DOUBLE_SIDED
+			if ( ! gl_FrontFacing ) discard;
+		#endif
+
+		vec3 wboitTransmittance = pow( max( wboitAttenuationColor, vec3( 1e-5 ) ), vec3( wboitVolumeThickness() / wboitAttenuationDistance ) );
+		float wboitAbsorbed = 1.0 - dot( wboitTransmittance, vec3( 1.0 / 3.0 ) );
+
+		if ( wboitAbsorbed <= 0.0 ) discard;
+
+		#ifdef PREMULTIPLIED_ALPHA
+			gl_FragColor *= wboitAbsorbed;
+		#else
+			gl_FragColor.a *= wboitAbsorbed;
+		#endif
+
+		wboitTransmission = 1.0 - ( 1.0 - wboitTransmittance ) / wboitAbsorbed;
+
+	}
+
+	/* Hybrid mode, fragments of the exact front layers (up to the depth of the last one) only
+	   accumulate the alpha their layer did not render: exact over weighted adds up to 'alpha' */
+	if ( exactLayers > 0.0 && renderStage != ${WboitStages.Peel.toFixed(1)} ) {
+
+		if ( gl_FragCoord.z <= texture2D( peelDepth, gl_FragCoord.xy / peelResolution ).r + 1e-7 ) {
+
+			float wboitAlpha = gl_FragColor.a;
+			float wboitExactAlpha = wboitAlpha * wboitExactShare( wboitAlpha );
+			float wboitRemainder = ( wboitAlpha - wboitExactAlpha ) / max( 1.0 - wboitExactAlpha, 1e-5 );
+
+			if ( wboitRemainder <= 0.0 ) discard;
+
+			#ifdef PREMULTIPLIED_ALPHA
+				gl_FragColor.rgb *= wboitRemainder / wboitAlpha;
+			#endif
+
+			gl_FragColor.a = wboitRemainder;
+
+		}
+
+	}
+
+	bool accumulationStage = renderStage == ${WboitStages.Acummulation.toFixed(1)};
+	bool combinedStage = renderStage == ${WboitStages.Combined.toFixed(1)};
+	bool weightStage = renderStage == ${WboitStages.Weight.toFixed(1)};
+
+	if ( accumulationStage || combinedStage || weightStage ) {
+
+		vec4 accum = gl_FragColor.rgba;
+
+		#ifndef PREMULTIPLIED_ALPHA
+			accum.rgb *= accum.a;
+		#endif
+
+		float z = gl_FragCoord.z;
+		float viewZ = 1.0 / gl_FragCoord.w;
+
+		float w = wboitWeight( accum, z, viewZ, wboitWeightModifier );
+
+		/* Debug view, weight on a log scale from 1e-3 to 1e4 (see WboitPass.debugView) */
+		float debugWeight = clamp( ( log2( max( w, 1e-8 ) ) * 0.30103 + 3.0 ) / 7.0, 0.0, 1.0 );
+
+		/* 8-bit targets: weights are mapped to ( 0.0, 0.25 ), sums of a few layers do not saturate.
+		   Lossy: targets are summed by additive blending, so the encoding has to stay linear in the
+		   color (no log or shared exponent packing). Weights above ~10 all map close to 0.25 (depth
+		   weighting flattens), and the 256 levels of each channel band smooth gradients, faint
+		   layers (alpha * w below 1 / 255) are lost. Only used when half float is not available. */
+		if ( accumulationEncoding == ${
+      WboitEncodings.Normalized
+    } ) w = 0.25 * w / ( 1.0 + w );
+
+		if ( weightStage ) {
+
+			gl_FragColor = vec4( debugWeight, 0.0, 0.0, 1.0 );
+
+		} else if ( accumulationStage ) {
+
+			gl_FragColor = accum * w;
+
+		} else {
+
+			/* Multiple Render Targets: accumulation rgb + revealage alpha, accumulation alpha */
+			gl_FragColor = vec4( accum.rgb * w, wboitRevealage( accum.a, z, viewZ ) );
+
+			#if __VERSION__ >= 300
+				wboitAccumulationAlpha = vec4( accum.a * w );
+			#endif
+
+		}
+
+	} else if ( renderStage == ${WboitStages.Revealage.toFixed(1)} ) {
+
+		/* Colored transmission in rgb, scalar revealage in alpha */
+		float coverage = wboitRevealage( gl_FragColor.a, gl_FragCoord.z, 1.0 / gl_FragCoord.w );
+		gl_FragColor = vec4( coverage * ( 1.0 - wboitTransmission ), coverage );
+
+	} else if ( renderStage == ${WboitStages.Peel.toFixed(1)} ) {
+
+		vec2 peelUv = gl_FragCoord.xy / peelResolution;
+
+		if ( gl_FragCoord.z >= texture2D( opaqueDepth, peelUv ).r ) discard;
+		if ( gl_FragCoord.z <= texture2D( peelDepth, peelUv ).r + 1e-7 ) discard;
+
+		#ifndef PREMULTIPLIED_ALPHA
+			gl_FragColor.rgb *= gl_FragColor.a;
+		#endif
+
+		/* Hybrid mode, the rest is accumulated behind the layer */
+		if ( exactLayers > 0.0 ) gl_FragColor *= wboitExactShare( gl_FragColor.a );
+
+	} else if ( renderStage == ${WboitStages.Overdraw.toFixed(1)} ) {
+
+		/* Debug view, fragments counted in steps of 1 / 255 */
+		gl_FragColor = vec4( 1.0 / 255.0 );
+
+	}
+`;
+
+ShaderChunk.wboit_upsample_pars_fragment = /* glsl */ `
+
+	// WBOIT upsampling
+
+	uniform highp sampler2D tDepth;
+	uniform highp sampler2D tWboitDepth;
+	uniform vec2 uWboitResolution;
+	uniform float uUpsample;
+
+	/* 0.0: same resolution, 1.0: bilinear, 2.0: bilinear weighted by similarity of opaque depth */
+	vec4 wboitSample( sampler2D map, vec2 uv ) {
+
+		if ( uUpsample == 0.0 ) return texture2D( map, uv );
+
+		vec2 texel = uv * uWboitResolution - 0.5;
+		vec2 base = floor( texel );
+		vec2 f = texel - base;
+
+		float depth = ( uUpsample > 1.0 ) ? texture2D( tDepth, uv ).r : 0.0;
+
+		vec4 sum = vec4( 0.0 );
+		float total = 0.0;
+
+		for ( int i = 0; i < 4; i ++ ) {
+
+			vec2 offset = vec2( float( i - 2 * ( i / 2 ) ), float( i / 2 ) );
+			vec2 sampleUv = ( base + offset + 0.5 ) / uWboitResolution;
+
+			float w = mix( 1.0 - f.x, f.x, offset.x ) * mix( 1.0 - f.y, f.y, offset.y );
+
+			if ( uUpsample > 1.0 ) {
+
+				w *= 1.0 / ( 1e-4 + abs( depth - texture2D( tWboitDepth, sampleUv ).r ) );
+
+			}
+
+			sum += texture2D( map, sampleUv ) * w;
+			total += w;
+
+		}
+
+		return sum / max( total, 1e-8 );
+
+	}
+`;
+
+ShaderChunk.wboit_output_fragment = /* glsl */ `
+
+	// WBOIT output
+
+	/* 'gl_FragColor' is linear and premultiplied. Tone mapping and color space conversion are the
+	   ones the renderer sets up for the current render target (none for internal targets) */
+	if ( gl_FragColor.a > 0.0 ) {
+
+		vec3 outputColor = gl_FragColor.rgb / gl_FragColor.a;
+
+		#if defined( TONE_MAPPING )
+			outputColor = toneMapping( outputColor );
+		#endif
+
+		gl_FragColor.rgb = linearToOutputTexel( vec4( outputColor, 1.0 ) ).rgb * gl_FragColor.a;
+
+	}
+`;
+
+ShaderChunk.wboit_shadow_pars_fragment = /* glsl */ `
+
+	// WBOIT shadows
+
+	uniform float wboitShadowOpacity;
+	uniform vec3 wboitShadowTransmission;
+
+	/* hash13, https://www.shadertoy.com/view/4djSRW */
+	float wboitShadowHash( vec3 p ) {
+
+		p = fract( p * 0.1031 );
+		p += dot( p, p.zyx + 31.32 );
+		return fract( ( p.x + p.y ) * p.z );
+
+	}
+`;
+
+ShaderChunk.wboit_shadow_fragment = /* glsl */ `
+
+	// WBOIT shadows
+
+	/* Share of light blocked by the fragment, colored transmission counts with its average (shadow
+	   maps only hold depth, colored shadows are not implemented). The fragment is kept with that
+	   probability (hashed alpha), varying with depth so overlapping surfaces add up. Shadow
+	   filtering averages the pattern into partial shadow. */
+	float wboitShadowAlpha = diffuseColor.a * wboitShadowOpacity * ( 1.0 - dot( wboitShadowTransmission, vec3( 1.0 / 3.0 ) ) );
+
+	if ( wboitShadowAlpha <= wboitShadowHash( vec3( gl_FragCoord.xy, gl_FragCoord.z * 4096.0 ) ) ) discard;
+`;
+
+export { WboitEncodings, WboitStages, WboitUniforms };
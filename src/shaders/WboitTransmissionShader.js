@@ -0,0 +1,61 @@
+/**
+ * Multiply background by colored transmission for weighted, blended order-independent transparency
+ */
+
+import { Vector2 } from "three";
+
+import "./WboitShaderChunk.js";
+
+const WboitTransmissionShader = {
+  uniforms: {
+    tScene: { value: null },
+    tRevealage: { value: null },
+    tExact: { value: null },
+    uExact: { value: 0 },
+    tDepth: { value: null },
+    tWboitDepth: { value: null },
+    uWboitResolution: { value: new Vector2(1, 1) },
+    uUpsample: { value: 0 },
+  },
+
+  vertexShader: /* glsl */ `
+
+		varying vec2 vUv;
+
+		void main() {
+
+			vUv = uv;
+			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+
+		}`,
+
+  fragmentShader: /* glsl */ `
+
+		precision highp float;
+		precision highp int;
+
+		varying vec2 vUv;
+
+		uniform sampler2D tScene;
+		uniform sampler2D tRevealage;
+		uniform sampler2D tExact;
+		uniform float uExact;
+
+		#include <wboit_upsample_pars_fragment>
+
+		void main() {
+
+			// light reaches the background through WBOIT objects and uncovered parts of the scene
+			float sceneAlpha = texture2D( tScene, vUv ).a;
+			vec3 transmission = wboitSample( tRevealage, vUv ).rgb * ( 1.0 - sceneAlpha );
+
+			// and the exact front layers of the hybrid mode
+			if ( uExact > 0.0 ) transmission *= texture2D( tExact, vUv ).a;
+			if ( all( greaterThanEqual( transmission, vec3( 0.99999 ) ) ) ) discard;
+
+			gl_FragColor = vec4( transmission, 1.0 );
+
+		}`,
+};
+
+export { WboitTransmissionShader };
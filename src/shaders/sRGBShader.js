@@ -3,21 +3,18 @@
  */
 
 const sRGBShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+  },
 
-	uniforms: {
-
-		'tDiffuse': { value: null }
-
-	},
-
-	vertexShader: /* glsl */`
+  vertexShader: /* glsl */ `
 		varying vec2 vUv;
 		void main() {
 			vUv = uv;
 			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
 		}`,
 
-	fragmentShader: /* glsl */`
+  fragmentShader: /* glsl */ `
 		uniform sampler2D tDiffuse;
 		varying vec2 vUv;
 		void main() {
@@ -32,8 +29,7 @@ const sRGBShader = {
 
             // Output
             gl_FragColor = tex;
-		}`
-
+		}`,
 };
 
 export { sRGBShader };
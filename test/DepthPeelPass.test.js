@@ -0,0 +1,92 @@
+import { strict as assert } from "node:assert";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { BufferGeometry, Mesh, PerspectiveCamera, Scene } from "three";
+
+import { DepthPeelPass } from "../src/DepthPeelPass.js";
+import { MeshWboitMaterial } from "../src/materials/MeshWboitMaterial.js";
+import { createRenderer } from "./helpers.js";
+
+const warn = console.warn;
+let warnings;
+
+function createPass(options) {
+  const renderer = createRenderer();
+  const scene = new Scene();
+  const camera = new PerspectiveCamera();
+  const mesh = new Mesh(new BufferGeometry(), new MeshWboitMaterial());
+  scene.add(mesh);
+
+  const pass = new DepthPeelPass(
+    renderer,
+    scene,
+    camera,
+    0x000000,
+    1.0,
+    options
+  );
+
+  // Counts the peeled layers
+  const peeled = [];
+  renderer.onDraw = (item, target) => {
+    if (pass.layerTargets.includes(target)) peeled.push(target);
+  };
+
+  return { renderer, pass, peeled };
+}
+
+describe("DepthPeelPass", () => {
+  beforeEach(() => {
+    warnings = [];
+    console.warn = (message) => warnings.push(message);
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+  });
+
+  it("peels 4 layers by default", () => {
+    const { renderer, pass, peeled } = createPass();
+
+    pass.render(renderer, null, null);
+
+    assert.equal(pass.layers, 4);
+    assert.equal(peeled.length, 4);
+    assert.deepEqual(warnings, []);
+  });
+
+  it("peels the number of layers of the option", () => {
+    const { renderer, pass, peeled } = createPass({ layers: 2 });
+
+    pass.render(renderer, null, null);
+
+    assert.equal(peeled.length, 2);
+  });
+
+  for (const layers of [0, -3, NaN, "many"]) {
+    it(`peels 1 layer with layers: ${layers}`, () => {
+      const { renderer, pass, peeled } = createPass({ layers });
+
+      assert.doesNotThrow(() => pass.render(renderer, null, null));
+      assert.equal(peeled.length, 1);
+      assert.match(warnings[0], /'layers' must be an integer/);
+    });
+  }
+
+  it("rounds fractional layers down", () => {
+    const { renderer, pass, peeled } = createPass({ layers: 2.5 });
+
+    pass.render(renderer, null, null);
+
+    assert.equal(peeled.length, 2);
+    assert.match(warnings[0], /using 2\./);
+  });
+
+  it("clamps layers set after construction", () => {
+    const { renderer, pass, peeled } = createPass();
+    pass.layers = 0;
+
+    assert.doesNotThrow(() => pass.render(renderer, null, null));
+    assert.equal(peeled.length, 1);
+  });
+});
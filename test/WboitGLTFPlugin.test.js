@@ -0,0 +1,116 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  BufferGeometry,
+  Group,
+  Mesh,
+  MeshPhysicalMaterial,
+  MeshStandardMaterial,
+} from "three";
+
+import { WboitGLTFPlugin } from "../src/loaders/WboitGLTFPlugin.js";
+import { WboitUtils } from "../src/WboitUtils.js";
+
+const geometry = new BufferGeometry();
+
+// Loads one mesh per material definition through the plugin
+function load(materialDefs, options) {
+  const scene = new Group();
+  const parser = { json: { materials: materialDefs }, associations: new Map() };
+
+  const meshes = materialDefs.map((materialDef, index) => {
+    const material = materialDef.extensions
+      ? new MeshPhysicalMaterial({ color: 0xffffff })
+      : new MeshStandardMaterial({ color: 0xffffff });
+    parser.associations.set(material, { materials: index });
+
+    const mesh = new Mesh(geometry, material);
+    scene.add(mesh);
+
+    return mesh;
+  });
+
+  new WboitGLTFPlugin(parser, options).afterRoot({ scene });
+
+  return meshes.map((mesh) => mesh.material);
+}
+
+const glass = {
+  extensions: { KHR_materials_transmission: { transmissionFactor: 0.75 } },
+};
+
+describe("WboitGLTFPlugin", () => {
+  it("patches blended and transmissive materials only", () => {
+    const [opaque, mask, blend, transmissive] = load([
+      {},
+      { alphaMode: "MASK" },
+      { alphaMode: "BLEND" },
+      glass,
+    ]);
+
+    assert.equal(WboitUtils.getUniforms(opaque), null);
+    assert.equal(WboitUtils.getUniforms(mask), null);
+    assert.notEqual(WboitUtils.getUniforms(blend), null);
+    assert.notEqual(WboitUtils.getUniforms(transmissive), null);
+  });
+
+  it("skips materials rejected by the filter", () => {
+    const [first, second] = load(
+      [{ alphaMode: "BLEND" }, { alphaMode: "BLEND", name: "skip" }],
+      { filter: (material, object, materialDef) => materialDef.name !== "skip" }
+    );
+
+    assert.notEqual(WboitUtils.getUniforms(first), null);
+    assert.equal(WboitUtils.getUniforms(second), null);
+  });
+
+  it("converts transmission to opacity by default", () => {
+    const [material] = load([glass]);
+
+    assert.equal(material.transmission, 0);
+    assert.equal(material.transparent, true);
+    assert.equal(material.depthWrite, false);
+    assert.equal(material.opacity, 0.25);
+    assert.equal(material.color.getHex(), 0xffffff);
+    assert.equal(material.transmissionColor.getHex(), 0x000000);
+  });
+
+  it("converts transmission to transmission color for colored transmission", () => {
+    const [material] = load(
+      [
+        {
+          extensions: {
+            KHR_materials_transmission: { transmissionFactor: 0.5 },
+            KHR_materials_volume: { attenuationColor: [1, 0, 0] },
+          },
+        },
+      ],
+      { coloredTransmission: true }
+    );
+
+    assert.equal(material.opacity, 1);
+    assert.deepEqual(material.color.toArray(), [0.5, 0.5, 0.5]);
+    assert.deepEqual(material.transmissionColor.toArray(), [0.5, 0, 0]);
+  });
+
+  it("converts volumes with an attenuation distance to absorption", () => {
+    const [material] = load([
+      {
+        extensions: {
+          KHR_materials_transmission: { transmissionFactor: 1 },
+          KHR_materials_volume: {
+            attenuationColor: [0, 1, 0],
+            attenuationDistance: 2,
+            thicknessFactor: 0.5,
+          },
+        },
+      },
+    ]);
+
+    assert.equal(material.opacity, 1);
+    assert.deepEqual(material.attenuationColor.toArray(), [0, 1, 0]);
+    assert.equal(material.attenuationDistance, 2);
+    assert.equal(material.thickness, 0.5);
+  });
+});
@@ -0,0 +1,173 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  GLSL3,
+  MeshStandardMaterial,
+  RawShaderMaterial,
+  ShaderLib,
+  ShaderMaterial,
+} from "three";
+
+import { MeshPhysicalWboitMaterial } from "../src/materials/MeshPhysicalWboitMaterial.js";
+import {
+  createWboitMaterial,
+  hasMultipleOutputs,
+  injectWboitShader,
+} from "../src/materials/WboitMaterialUtils.js";
+
+const vertexShader = "void main() {\n\tgl_Position = vec4( 0.0 );\n}\n";
+
+function shader(fragmentShader, parameters = {}) {
+  return { vertexShader, fragmentShader, ...parameters };
+}
+
+describe("injectWboitShader", () => {
+  it("adds the fragment chunk after the last output chunk of three.js shaders", () => {
+    const target = shader(ShaderLib.basic.fragmentShader);
+
+    assert.equal(injectWboitShader(target), true);
+
+    const source = target.fragmentShader;
+    const chunk = source.indexOf("#include <wboit_fragment>");
+
+    assert.ok(chunk > source.indexOf("#include <dithering_fragment>"));
+    assert.ok(chunk < source.lastIndexOf("}"));
+    assert.ok(
+      source.indexOf("#include <wboit_pars_fragment>") <
+        source.indexOf("void main()")
+    );
+  });
+
+  it("adds the chunks at the end of main() in custom shaders", () => {
+    const target = shader(
+      [
+        "float before() { return 1.0; }",
+        "void main() {",
+        "\t// { unbalanced brace in a comment",
+        "\tif ( before() > 0.0 ) { gl_FragColor = vec4( 1.0 ); }",
+        "\t/* } */",
+        "}",
+        "float after() { return 0.0; }",
+      ].join("\n")
+    );
+
+    assert.equal(injectWboitShader(target), true);
+
+    const source = target.fragmentShader;
+
+    assert.match(
+      source,
+      /\/\* \} \*\/\n\n\t#include <wboit_fragment>\n\}\nfloat after\(\)/
+    );
+    assert.match(target.vertexShader, /#include <wboit_vertex>\n\}\n$/);
+    assert.ok(
+      source.indexOf("float before()") <
+        source.indexOf("#include <wboit_pars_fragment>")
+    );
+  });
+
+  it("writes the declared output of GLSL 3 shaders", () => {
+    const material = new RawShaderMaterial({
+      vertexShader: "#version 300 es\n" + vertexShader,
+      fragmentShader: [
+        "#version 300 es",
+        "precision highp float;",
+        "out highp vec4 color;",
+        "void main() {",
+        "\tcolor = vec4( 1.0 );",
+        "}",
+      ].join("\n"),
+    });
+
+    assert.equal(injectWboitShader(material), true);
+
+    const source = material.fragmentShader;
+
+    assert.match(source, /layout\( location = 0 \) out highp vec4 color;/);
+    assert.match(source, /#define gl_FragColor color\n/);
+    assert.match(source, /#define texture2D texture\n/);
+    assert.match(material.vertexShader, /#define attribute in\n/);
+  });
+
+  it("keeps the location of GLSL 3 outputs that have one", () => {
+    const target = shader(
+      "layout(location = 0) out vec4 result;\nvoid main() {\n\tresult = vec4( 1.0 );\n}\n",
+      { glslVersion: GLSL3 }
+    );
+
+    assert.equal(injectWboitShader(target), true);
+    assert.equal(target.fragmentShader.match(/layout/g).length, 1);
+    assert.doesNotMatch(target.fragmentShader, /#define texture2D/);
+  });
+
+  it("leaves shaders without main() or GLSL 3 output unchanged", () => {
+    const noMain = shader("void mainImage() {}\n");
+    const noOutput = shader("void main() {}\n", { glslVersion: GLSL3 });
+    const unclosed = shader("void main() {\n\tgl_FragColor = vec4( 1.0 );\n");
+
+    for (const target of [noMain, noOutput, unclosed]) {
+      const { vertexShader, fragmentShader } = target;
+
+      assert.equal(injectWboitShader(target), false);
+      assert.equal(target.vertexShader, vertexShader);
+      assert.equal(target.fragmentShader, fragmentShader);
+    }
+  });
+});
+
+describe("hasMultipleOutputs", () => {
+  it("is false for RawShaderMaterial in GLSL 1 only", () => {
+    const raw = new RawShaderMaterial({
+      fragmentShader: "void main() {}",
+    });
+
+    assert.equal(hasMultipleOutputs(new ShaderMaterial()), true);
+    assert.equal(hasMultipleOutputs(raw), false);
+
+    raw.fragmentShader = "#version 300 es\nout vec4 c;\nvoid main() {}";
+    assert.equal(hasMultipleOutputs(raw), true);
+  });
+});
+
+describe("createWboitMaterial", () => {
+  it("creates a WBOIT variant of the material class", () => {
+    const TestWboitMaterial = createWboitMaterial(
+      MeshStandardMaterial,
+      "TestWboitMaterial",
+      "standard",
+      (material) => (material.setupValue = material.weight)
+    );
+
+    const material = new TestWboitMaterial({ weight: 2, roughness: 0.25 });
+
+    assert.equal(TestWboitMaterial.name, "TestWboitMaterial");
+    assert.ok(material instanceof MeshStandardMaterial);
+    assert.equal(material.isTestWboitMaterial, true);
+    assert.equal(material.isWboitMaterial, true);
+    assert.equal(material.type, "TestWboitMaterial");
+    assert.equal(material.setupValue, 1);
+    assert.equal(material.weight, 2);
+    assert.equal(material.roughness, 0.25);
+    assert.match(material.fragmentShader, /#include <wboit_fragment>/);
+  });
+
+  it("copies the WBOIT properties", () => {
+    const source = new MeshPhysicalWboitMaterial({
+      weight: 3,
+      weightFunction: "depth",
+      transmissionColor: 0xff0000,
+      attenuationDistance: 2,
+      clearcoat: 0.5,
+    });
+    const material = new MeshPhysicalWboitMaterial().copy(source);
+
+    assert.equal(material.weight, 3);
+    assert.equal(material.weightFunction, "depth");
+    assert.equal(material.transmissionColor.getHex(), 0xff0000);
+    assert.notEqual(material.transmissionColor, source.transmissionColor);
+    assert.equal(material.attenuationDistance, 2);
+    assert.equal(material.clearcoat, 0.5);
+    assert.deepEqual(material.extensions, { derivatives: true });
+  });
+});
@@ -0,0 +1,174 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  BoxGeometry,
+  BufferGeometry,
+  Mesh,
+  MeshBasicMaterial,
+  OneFactor,
+  PerspectiveCamera,
+  Points,
+  PointsMaterial,
+  Scene,
+} from "three";
+
+import { MeshWboitMaterial } from "../src/materials/MeshWboitMaterial.js";
+import { WboitPass } from "../src/WboitPass.js";
+import { createRenderer } from "./helpers.js";
+
+function createPass(options, rendererOptions) {
+  const renderer = createRenderer(rendererOptions);
+  const pass = new WboitPass(
+    renderer,
+    new Scene(),
+    new PerspectiveCamera(),
+    0x000000,
+    1.0,
+    options
+  );
+
+  return { renderer, pass };
+}
+
+describe("WboitPass", () => {
+  it("has the documented defaults", () => {
+    const { pass } = createPass();
+
+    assert.equal(pass.precision, "float");
+    assert.equal(pass.resolutionScale, 1.0);
+    assert.equal(pass.samples, 0);
+    assert.equal(pass.fxaa, false);
+    assert.equal(pass.debugView, "none");
+    assert.equal(pass.gpuTiming, false);
+    assert.equal(pass.transparentShadows, true);
+    assert.equal(pass.exactLayers, 0);
+    assert.equal(pass.opacityThreshold, 0.0);
+    assert.equal(pass.thicknessPass, false);
+    assert.equal(pass.coloredTransmission, false);
+    assert.equal(pass.weightFunction, "adjustable");
+    assert.equal(pass.clearAlpha, 1.0);
+  });
+
+  it("takes settings from options", () => {
+    const { pass } = createPass({
+      precision: "half",
+      resolutionScale: 0.5,
+      samples: 2,
+      fxaa: true,
+      exactLayers: 1,
+      thicknessPass: true,
+    });
+
+    assert.equal(pass.precision, "half");
+    assert.equal(pass.resolutionScale, 0.5);
+    assert.equal(pass.samples, 2);
+    assert.equal(pass.fxaa, true);
+    assert.equal(pass.exactLayers, 1);
+    assert.equal(pass.thicknessPass, true);
+  });
+
+  it("does not multisample with an anti-aliased renderer", () => {
+    const { renderer, pass } = createPass({}, { antialias: true });
+
+    pass.render(renderer, null, null);
+
+    assert.equal(pass.samples, 0);
+    for (const name in pass.info.targets) {
+      assert.equal(pass.info.targets[name].samples, 0);
+    }
+
+    // Opaque depth is shared, not drawn into each target
+    assert.equal(pass.info.calls.depth, undefined);
+  });
+
+  it("draws the classification view with materials of the object type", () => {
+    const { renderer, pass } = createPass({ debugView: "classification" });
+    const material = new PointsMaterial({
+      size: 4,
+      sizeAttenuation: false,
+      transparent: true,
+    });
+    const drawn = [];
+
+    pass.scene.add(new Points(new BufferGeometry(), material));
+    renderer.onDraw = (item) => drawn.push(item.material);
+    pass.render(renderer, null, null);
+
+    assert.equal(drawn.length, 1);
+    assert.equal(drawn[0].isPointsMaterial, true);
+    assert.equal(drawn[0].size, 4);
+    assert.equal(drawn[0].sizeAttenuation, false);
+    assert.equal(drawn[0].color.getHex(), 0x00ff00);
+  });
+
+  it("counts sorted transparent fragments in the overdraw view", () => {
+    const { renderer, pass } = createPass({ debugView: "overdraw" });
+    const material = new MeshBasicMaterial({ transparent: true });
+    const drawn = [];
+
+    pass.scene.add(new Mesh(new BufferGeometry(), material));
+    renderer.onDraw = (item, target) => drawn.push({ item, target });
+    pass.render(renderer, null, null);
+
+    const counted = drawn.filter(
+      ({ target }) => target === pass.accumulationTarget
+    );
+
+    assert.equal(counted.length, 1);
+    assert.notEqual(counted[0].item.material, material);
+    assert.equal(counted[0].item.material.blendDst, OneFactor);
+    assert.equal(counted[0].item.material.depthWrite, false);
+  });
+
+  it("measures the nearest volumes in view in one shared thickness target", () => {
+    const { renderer, pass } = createPass({ thicknessPass: true });
+    const material = new MeshWboitMaterial({ attenuationDistance: 2 });
+    const geometry = new BoxGeometry();
+    const warn = console.warn;
+    const warnings = [];
+    const channels = [];
+
+    for (const z of [-3, -7, -6, -5, -4, 5]) {
+      const mesh = new Mesh(geometry, material);
+      mesh.position.z = z;
+      pass.scene.add(mesh);
+    }
+
+    pass.scene.updateMatrixWorld();
+    pass.camera.updateMatrixWorld();
+
+    renderer.onDraw = (item, target) => {
+      if (target !== pass.thicknessTarget) return;
+
+      const uniforms = item.material.uniforms;
+      channels.push([
+        item.object.position.z,
+        uniforms.wboitVolumeChannel.value.toArray(),
+      ]);
+    };
+
+    console.warn = (message) => warnings.push(message);
+
+    try {
+      pass.render(renderer, null, null);
+    } finally {
+      console.warn = warn;
+    }
+
+    // The volume behind the camera is culled, the farthest one keeps its constant thickness
+    assert.deepEqual(channels, [
+      [-3, [1, 0, 0, 0]],
+      [-6, [0, 0, 0, 1]],
+      [-5, [0, 0, 1, 0]],
+      [-4, [0, 1, 0, 0]],
+    ]);
+    assert.equal(warnings.length, 1);
+    assert.deepEqual(Object.keys(pass.info.targets), [
+      "base",
+      "accumulation",
+      "revealage",
+      "thickness",
+    ]);
+  });
+});
@@ -0,0 +1,277 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { BufferGeometry, Group, Mesh, MeshBasicMaterial, Scene } from "three";
+
+import { WboitRegistry } from "../src/WboitRegistry.js";
+import { WboitUtils } from "../src/WboitUtils.js";
+
+const geometry = new BufferGeometry();
+
+function wboitMaterial() {
+  return WboitUtils.patch(new MeshBasicMaterial({ transparent: true }));
+}
+
+function buckets(registry, object) {
+  return ["opaque", "transparent", "wboit"].filter((name) =>
+    registry[name].has(object)
+  );
+}
+
+// Objects are checked for changes when they are drawn
+function draw(registry, scene) {
+  scene.traverse((object) => {
+    if (!object.material) return;
+
+    [].concat(object.material).forEach((material) => {
+      registry.getCategory(material, object);
+    });
+  });
+}
+
+describe("WboitRegistry", () => {
+  it("sorts objects into buckets by material", () => {
+    const scene = new Scene();
+    const opaque = new Mesh(geometry, new MeshBasicMaterial());
+    const transparent = new Mesh(
+      geometry,
+      new MeshBasicMaterial({ transparent: true })
+    );
+    const wboit = new Mesh(geometry, wboitMaterial());
+    const multi = new Mesh(geometry, [
+      new MeshBasicMaterial(),
+      wboitMaterial(),
+    ]);
+    scene.add(opaque, transparent, wboit, multi);
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    assert.deepEqual(buckets(registry, opaque), ["opaque"]);
+    assert.deepEqual(buckets(registry, transparent), ["transparent"]);
+    assert.deepEqual(buckets(registry, wboit), ["wboit"]);
+    assert.deepEqual(buckets(registry, multi), ["opaque", "wboit"]);
+    assert.equal(registry.getCategory(wboit.material), "wboit");
+  });
+
+  it("tracks added and removed objects", () => {
+    const scene = new Scene();
+    const registry = new WboitRegistry(scene);
+    const mesh = new Mesh(geometry, wboitMaterial());
+
+    scene.add(mesh);
+    registry.update();
+    assert.deepEqual(buckets(registry, mesh), ["wboit"]);
+
+    scene.remove(mesh);
+    registry.update();
+    assert.deepEqual(buckets(registry, mesh), []);
+    assert.equal(registry.wboit.size, 0);
+  });
+
+  it("tracks nested, attached and moved objects", () => {
+    const scene = new Scene();
+    const registry = new WboitRegistry(scene);
+    const group = new Group();
+    const nested = new Mesh(geometry, wboitMaterial());
+    const other = new Group();
+
+    group.add(nested);
+    scene.add(group);
+    registry.update();
+    assert.deepEqual(buckets(registry, nested), ["wboit"]);
+
+    const child = new Mesh(geometry, wboitMaterial());
+    nested.add(child);
+    registry.update();
+    assert.deepEqual(buckets(registry, child), ["wboit"]);
+
+    // Moved out of the scene and back in
+    other.attach(child);
+    registry.update();
+    assert.deepEqual(buckets(registry, child), []);
+
+    group.attach(child);
+    registry.update();
+    assert.deepEqual(buckets(registry, child), ["wboit"]);
+  });
+
+  it("finds new objects without scanning the scene", () => {
+    const scene = new Scene();
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    let visited = 0;
+    const traverse = scene.traverse;
+    scene.traverse = function (callback) {
+      visited++;
+      return traverse.call(this, callback);
+    };
+
+    registry.update();
+    assert.equal(visited, 0);
+  });
+
+  it("restores add() of untracked objects", () => {
+    const scene = new Scene();
+    const group = new Group();
+    scene.add(group);
+
+    const registry = new WboitRegistry(scene);
+    scene.remove(group);
+    registry.dispose();
+
+    assert.equal(Object.prototype.hasOwnProperty.call(scene, "add"), false);
+    assert.equal(Object.prototype.hasOwnProperty.call(group, "add"), false);
+  });
+
+  it("reclassifies changed materials when their objects are drawn", () => {
+    const scene = new Scene();
+    const material = wboitMaterial();
+    const a = new Mesh(geometry, material);
+    const b = new Mesh(geometry, material);
+    scene.add(a, b);
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    material.transparent = false;
+    registry.update();
+    assert.deepEqual(buckets(registry, a), ["wboit"]);
+
+    assert.equal(registry.getCategory(material, a), "opaque");
+    assert.deepEqual(buckets(registry, a), ["opaque"]);
+    assert.deepEqual(buckets(registry, b), ["opaque"]);
+
+    material.wboitEnabled = false;
+    material.transparent = true;
+    draw(registry, scene);
+    assert.deepEqual(buckets(registry, b), ["transparent"]);
+  });
+
+  it("reclassifies objects given another material when they are drawn", () => {
+    const scene = new Scene();
+    const mesh = new Mesh(geometry, new MeshBasicMaterial());
+    scene.add(mesh);
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    mesh.material = wboitMaterial();
+    assert.equal(registry.getCategory(mesh.material, mesh), "wboit");
+    assert.deepEqual(buckets(registry, mesh), ["wboit"]);
+  });
+
+  it("reclassifies invalidated objects and materials on update", () => {
+    const scene = new Scene();
+    const material = wboitMaterial();
+    const mesh = new Mesh(geometry, material);
+    const other = new Mesh(geometry, new MeshBasicMaterial());
+    scene.add(mesh, other);
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    material.transparent = false;
+    registry.invalidate(material);
+    registry.update();
+    assert.deepEqual(buckets(registry, mesh), ["opaque"]);
+
+    other.material = wboitMaterial();
+    registry.invalidate(other);
+    registry.update();
+    assert.deepEqual(buckets(registry, other), ["wboit"]);
+  });
+
+  it("applies the mode of the nearest ancestor that sets one", () => {
+    const scene = new Scene();
+    const material = wboitMaterial();
+    const group = new Group();
+    const inner = new Group();
+    const mesh = new Mesh(geometry, material);
+    const panel = new Mesh(geometry, material);
+    inner.add(mesh);
+    group.add(inner, panel);
+    scene.add(group);
+
+    group.userData.wboitMode = "opaque";
+    inner.userData.wboitMode = "inherit";
+    panel.userData.wboitMode = "transparent";
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    assert.deepEqual(buckets(registry, mesh), ["opaque"]);
+    assert.deepEqual(buckets(registry, panel), ["transparent"]);
+    assert.equal(registry.getCategory(material, mesh), "opaque");
+    assert.equal(registry.getCategory(material), "wboit");
+  });
+
+  it("enables WBOIT per object for materials that support it", () => {
+    const scene = new Scene();
+    const patched = wboitMaterial();
+    const plain = new MeshBasicMaterial({ transparent: true });
+    const group = new Group();
+    const a = new Mesh(geometry, patched);
+    const b = new Mesh(geometry, plain);
+    group.add(a, b);
+    scene.add(group);
+
+    patched.wboitEnabled = false;
+    group.userData.wboitMode = "wboit";
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    assert.deepEqual(buckets(registry, a), ["wboit"]);
+    assert.deepEqual(buckets(registry, b), ["transparent"]);
+  });
+
+  it("applies modes set with setMode to subtrees", () => {
+    const scene = new Scene();
+    const group = new Group();
+    const mesh = new Mesh(geometry, wboitMaterial());
+    group.add(mesh);
+    scene.add(group);
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    registry.setMode(group, "transparent");
+    assert.equal(group.userData.wboitMode, "transparent");
+    assert.deepEqual(buckets(registry, mesh), ["transparent"]);
+    assert.equal(registry.getCategory(mesh.material, mesh), "transparent");
+
+    registry.setMode(group, null);
+    assert.equal("wboitMode" in group.userData, false);
+    assert.deepEqual(buckets(registry, mesh), ["wboit"]);
+  });
+
+  it("applies mode changes of drawn objects", () => {
+    const scene = new Scene();
+    const mesh = new Mesh(geometry, wboitMaterial());
+    const child = new Mesh(geometry, wboitMaterial());
+    mesh.add(child);
+    scene.add(mesh);
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+
+    mesh.userData.wboitMode = "opaque";
+    assert.equal(registry.getCategory(mesh.material, mesh), "opaque");
+    assert.deepEqual(buckets(registry, mesh), ["opaque"]);
+    assert.deepEqual(buckets(registry, child), ["opaque"]);
+  });
+
+  it("stops tracking when detached", () => {
+    const scene = new Scene();
+    scene.add(new Mesh(geometry, wboitMaterial()));
+
+    const registry = new WboitRegistry(scene);
+    registry.update();
+    registry.dispose();
+
+    assert.equal(registry.wboit.size, 0);
+    assert.equal(registry.root, null);
+  });
+});
@@ -0,0 +1,107 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { FloatType, HalfFloatType, LinearFilter } from "three";
+
+import { WboitTargetPool } from "../src/WboitTargetPool.js";
+import { createRenderer } from "./helpers.js";
+
+const half = { type: HalfFloatType };
+
+describe("WboitTargetPool", () => {
+  it("is shared by the passes of a renderer", () => {
+    const renderer = createRenderer();
+    const pool = WboitTargetPool.get(renderer);
+
+    assert.equal(WboitTargetPool.get(renderer), pool);
+    assert.notEqual(WboitTargetPool.get(createRenderer()), pool);
+  });
+
+  it("hands out targets in use only once", () => {
+    const pool = WboitTargetPool.get(createRenderer());
+    const first = pool.acquire(8, 8, half);
+    const second = pool.acquire(8, 8, half);
+
+    assert.notEqual(first, second);
+
+    pool.release(first);
+    assert.equal(pool.acquire(8, 8, half), first);
+  });
+
+  it("reuses released targets with the same settings", () => {
+    const pool = WboitTargetPool.get(createRenderer());
+    const target = pool.acquire(8, 8, half);
+    pool.release(target);
+
+    assert.notEqual(pool.acquire(8, 8, { type: FloatType }), target);
+    assert.notEqual(
+      pool.acquire(8, 8, { ...half, filter: LinearFilter }),
+      target
+    );
+    assert.notEqual(pool.acquire(8, 8, { ...half, depthBuffer: true }), target);
+    assert.equal(pool.acquire(8, 8, half), target);
+  });
+
+  it("prefers targets of the same size and resizes others", () => {
+    const pool = WboitTargetPool.get(createRenderer());
+    const small = pool.acquire(4, 4, half);
+    const large = pool.acquire(16, 16, half);
+    pool.release(small);
+    pool.release(large);
+
+    assert.equal(pool.acquire(16, 16, half), large);
+
+    const resized = pool.acquire(32, 8, half);
+    assert.equal(resized, small);
+    assert.equal(resized.width, 32);
+    assert.equal(resized.height, 8);
+    assert.deepEqual(resized.viewport.toArray(), [0, 0, 32, 8]);
+  });
+
+  it("creates depth textures for targets that need one", () => {
+    const pool = WboitTargetPool.get(createRenderer());
+
+    assert.equal(pool.acquire(8, 8, half).depthTexture, null);
+
+    const target = pool.acquire(8, 8, { ...half, depthTexture: true });
+    assert.equal(target.depthBuffer, true);
+    assert.equal(target.depthTexture.isDepthTexture, true);
+  });
+
+  it("ignores targets that are not in use", () => {
+    const pool = WboitTargetPool.get(createRenderer());
+    const target = pool.acquire(8, 8, half);
+
+    pool.release(target);
+    pool.release(target);
+
+    assert.equal(pool.acquire(8, 8, half), target);
+    assert.notEqual(pool.acquire(8, 8, half), target);
+  });
+
+  it("disposes its targets once the last user detaches", () => {
+    const renderer = createRenderer();
+    const pool = WboitTargetPool.get(renderer);
+    WboitTargetPool.get(renderer);
+
+    const disposed = [];
+    const used = pool.acquire(8, 8, { ...half, depthTexture: true });
+    const free = pool.acquire(8, 8, half);
+    pool.release(free);
+
+    used.addEventListener("dispose", () => disposed.push(used));
+    used.depthTexture.addEventListener("dispose", () =>
+      disposed.push(used.depthTexture)
+    );
+    free.addEventListener("dispose", () => disposed.push(free));
+
+    pool.detach();
+    assert.deepEqual(disposed, []);
+    assert.equal(WboitTargetPool.get(renderer), pool);
+
+    pool.detach();
+    pool.detach();
+    assert.equal(disposed.length, 3);
+    assert.notEqual(WboitTargetPool.get(renderer), pool);
+  });
+});
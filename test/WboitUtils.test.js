@@ -0,0 +1,127 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  BufferGeometry,
+  InstancedMesh,
+  Mesh,
+  PerspectiveCamera,
+  Scene,
+} from "three";
+
+import { MeshWboitMaterial } from "../src/materials/MeshWboitMaterial.js";
+import { WboitPass } from "../src/WboitPass.js";
+import { WboitUtils } from "../src/WboitUtils.js";
+import { createRenderer } from "./helpers.js";
+
+// Instance values bound for each mesh in the WBOIT stages, and the WBOIT uniforms after the pass
+function render(meshes) {
+  const renderer = createRenderer();
+  const scene = new Scene();
+  const pass = new WboitPass(renderer, scene, new PerspectiveCamera());
+  scene.add(...meshes);
+
+  const bound = new Map();
+  renderer.onDraw = (item) => {
+    const uniforms = item.material.uniforms;
+    if (uniforms.renderStage.value === 0) return;
+
+    bound.set(item.object, {
+      texture: uniforms.wboitInstanceTexture.value,
+      use: uniforms.wboitUseInstanceTexture.value,
+    });
+  };
+
+  pass.render(renderer, null, null);
+
+  return bound;
+}
+
+describe("WboitUtils per-instance values", () => {
+  it("keeps values per mesh when meshes share a geometry", () => {
+    const geometry = new BufferGeometry();
+    const a = new InstancedMesh(geometry, new MeshWboitMaterial(), 4);
+    const b = new InstancedMesh(geometry, new MeshWboitMaterial(), 4);
+
+    WboitUtils.setOpacityAt(a, 1, 0.25);
+    WboitUtils.setOpacityAt(b, 1, 0.75);
+    WboitUtils.setWeightAt(b, 2, 0.5);
+
+    assert.equal(WboitUtils.getOpacityAt(a, 1), 0.25);
+    assert.equal(WboitUtils.getOpacityAt(b, 1), 0.75);
+    assert.equal(WboitUtils.getWeightAt(a, 2), 1);
+    assert.equal(WboitUtils.getWeightAt(b, 2), 0.5);
+    assert.equal(WboitUtils.getOpacityAt(a, 0), 1);
+
+    assert.notEqual(
+      WboitUtils.getInstanceTexture(a),
+      WboitUtils.getInstanceTexture(b)
+    );
+    assert.equal(geometry.getAttribute("instanceOpacity"), undefined);
+    assert.equal(geometry.getAttribute("instanceWeight"), undefined);
+  });
+
+  it("defaults to 1.0 for meshes without values", () => {
+    const mesh = new InstancedMesh(
+      new BufferGeometry(),
+      new MeshWboitMaterial(),
+      4
+    );
+
+    assert.equal(WboitUtils.getOpacityAt(mesh, 3), 1);
+    assert.equal(WboitUtils.getWeightAt(mesh, 3), 1);
+    assert.equal(WboitUtils.hasInstanceTexture(mesh), false);
+  });
+
+  it("rejects meshes without instances", () => {
+    const error = console.error;
+    const errors = [];
+    console.error = (message) => errors.push(message);
+
+    const mesh = new Mesh(new BufferGeometry(), new MeshWboitMaterial());
+    WboitUtils.setOpacityAt(mesh, 0, 0.5);
+
+    console.error = error;
+
+    assert.equal(errors.length, 1);
+    assert.equal(mesh.material.instanceOpacity, false);
+    assert.equal(WboitUtils.hasInstanceTexture(mesh), false);
+  });
+
+  it("binds the values of each mesh sharing a material", () => {
+    const geometry = new BufferGeometry();
+    const material = new MeshWboitMaterial();
+    const a = new InstancedMesh(geometry, material, 4);
+    const b = new InstancedMesh(geometry, material, 4);
+    const none = new InstancedMesh(geometry, material, 4);
+
+    WboitUtils.setOpacityAt(a, 0, 0.25);
+    WboitUtils.setOpacityAt(b, 0, 0.75);
+    assert.equal(material.instanceOpacity, true);
+
+    const bound = render([a, b, none]);
+
+    assert.deepEqual(bound.get(a), {
+      texture: WboitUtils.getInstanceTexture(a),
+      use: 1,
+    });
+    assert.deepEqual(bound.get(b), {
+      texture: WboitUtils.getInstanceTexture(b),
+      use: 1,
+    });
+
+    // Meshes without values of their own draw at 1.0
+    assert.deepEqual(bound.get(none), { texture: null, use: 0 });
+  });
+
+  it("leaves no instance values bound after the pass", () => {
+    const material = new MeshWboitMaterial();
+    const mesh = new InstancedMesh(new BufferGeometry(), material, 4);
+    WboitUtils.setOpacityAt(mesh, 0, 0.25);
+
+    render([mesh]);
+
+    assert.equal(material.uniforms.wboitInstanceTexture.value, null);
+    assert.equal(material.uniforms.wboitUseInstanceTexture.value, 0);
+  });
+});
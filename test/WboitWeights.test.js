@@ -0,0 +1,108 @@
+import { strict as assert } from "node:assert";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import {
+  BufferGeometry,
+  Mesh,
+  PerspectiveCamera,
+  Scene,
+  ShaderChunk,
+} from "three";
+
+import { MeshWboitMaterial } from "../src/materials/MeshWboitMaterial.js";
+import { WboitPass } from "../src/WboitPass.js";
+import { WboitWeights } from "../src/WboitWeights.js";
+import { createRenderer } from "./helpers.js";
+
+const builtIn = ["mcguire7", "mcguire8", "mcguire9", "mcguire10", "adjustable"];
+
+const error = console.error;
+let errors;
+
+// Index of the weight function each material is drawn with
+function drawnIndices(materials, weightFunction) {
+  const renderer = createRenderer();
+  const scene = new Scene();
+  const pass = new WboitPass(renderer, scene, new PerspectiveCamera());
+  pass.weightFunction = weightFunction;
+
+  materials.forEach((material) =>
+    scene.add(new Mesh(new BufferGeometry(), material))
+  );
+
+  const indices = new Map();
+  renderer.onDraw = (item) => {
+    const uniforms = item.material.uniforms;
+    if (uniforms && uniforms.renderStage.value !== 0) {
+      indices.set(item.object.material, uniforms.weightFunctionIndex.value);
+    }
+  };
+
+  pass.render(renderer, null, null);
+
+  return materials.map((material) => indices.get(material));
+}
+
+describe("WboitWeights", () => {
+  beforeEach(() => {
+    errors = [];
+    console.error = (message) => errors.push(message);
+  });
+
+  afterEach(() => {
+    console.error = error;
+  });
+
+  it("has the built-in weight functions in order", () => {
+    assert.deepEqual(WboitWeights.getNames().slice(0, 5), builtIn);
+
+    builtIn.forEach((name, index) => {
+      assert.equal(WboitWeights.has(name), true);
+      assert.equal(WboitWeights.getIndex(name), index);
+    });
+
+    assert.equal(WboitWeights.has("missing"), false);
+    assert.equal(WboitWeights.getIndex("missing"), -1);
+  });
+
+  it("registers and replaces weight functions", () => {
+    const count = WboitWeights.getNames().length;
+
+    WboitWeights.register("test-constant", { weight: "return 1.0;" });
+    const index = WboitWeights.getIndex("test-constant");
+    assert.equal(index, count);
+    assert.match(
+      ShaderChunk.wboit_weights_pars_fragment,
+      new RegExp(`float wboitRevealage${index}[^}]*return alpha;`)
+    );
+
+    // Replaced functions keep their index
+    WboitWeights.register("test-constant", { weight: "return 2.0;" });
+    assert.equal(WboitWeights.getIndex("test-constant"), index);
+    assert.equal(WboitWeights.getNames().length, count + 1);
+    assert.match(ShaderChunk.wboit_weights_pars_fragment, /return 2\.0;/);
+    assert.doesNotMatch(
+      ShaderChunk.wboit_weights_pars_fragment,
+      /return 1\.0;/
+    );
+  });
+
+  it("rejects weight functions that are not strings", () => {
+    const count = WboitWeights.getNames().length;
+
+    WboitWeights.register("test-invalid", { weight: null });
+    WboitWeights.register(null, { weight: "return 1.0;" });
+
+    assert.equal(WboitWeights.getNames().length, count);
+    assert.equal(errors.length, 2);
+  });
+
+  it("draws materials with their weight function, or the one of the pass", () => {
+    const own = new MeshWboitMaterial({ weightFunction: "mcguire9" });
+    const unknown = new MeshWboitMaterial({ weightFunction: "missing" });
+    const none = new MeshWboitMaterial();
+
+    assert.deepEqual(drawnIndices([own, unknown, none], "mcguire8"), [2, 1, 1]);
+    assert.deepEqual(drawnIndices([own, none], "missing"), [2, 0]);
+  });
+});
@@ -0,0 +1,174 @@
+import { Color } from "three";
+
+// Test types read back by the capability test ( WboitPass.getCapabilities )
+const _readPixels = { 1: 1, 2: 15360, 3: 255 };
+
+function createRenderList() {
+  return {
+    opaque: [],
+    transmissive: [],
+    transparent: [],
+
+    init() {
+      this.opaque.length = 0;
+      this.transmissive.length = 0;
+      this.transparent.length = 0;
+    },
+
+    push(object, geometry, material, groupOrder, z, group) {
+      const list = material.transparent ? this.transparent : this.opaque;
+      list.push({ object, geometry, material, groupOrder, z, group });
+    },
+
+    unshift() {},
+    finish() {},
+    sort() {},
+  };
+}
+
+/**
+ * WebGLRenderer stand-in for running the passes without a WebGL context. Scenes are drawn by
+ * filling a render list (one per nested render) and calling the render hooks of each item, every
+ * draw is reported to 'onDraw( item, renderTarget )'.
+ *
+ *  options.webgl2          (default true) WebGL 2 context
+ *  options.extensions      available WebGL extensions
+ *  options.antialias       context attribute
+ */
+function createRenderer(options = {}) {
+  const {
+    webgl2 = true,
+    extensions = ["WEBGL_depth_texture", "EXT_float_blend"],
+    antialias = false,
+  } = options;
+
+  const gl = {
+    FLOAT: 1,
+    HALF_FLOAT: 2,
+    UNSIGNED_BYTE: 3,
+    RGBA: 4,
+    FRAMEBUFFER: 5,
+    FRAMEBUFFER_COMPLETE: 6,
+    QUERY_RESULT_AVAILABLE: 7,
+    QUERY_RESULT: 8,
+    ANY_SAMPLES_PASSED_CONSERVATIVE: 9,
+
+    checkFramebufferStatus: () => 6,
+    readPixels(x, y, width, height, format, type, buffer) {
+      buffer.set([_readPixels[type], _readPixels[type], _readPixels[type], 0]);
+    },
+    getContextAttributes: () => ({ antialias }),
+    getExtension: () => null,
+    getParameter: () => false,
+    createQuery: () => ({}),
+    deleteQuery() {},
+    beginQuery() {},
+    endQuery() {},
+    getQueryParameter: () => false,
+  };
+
+  const renderLists = new Map();
+  const clearColor = new Color();
+  let renderTarget = null;
+  let depth = 0;
+
+  return {
+    capabilities: { isWebGL2: webgl2, maxSamples: 4 },
+    extensions: {
+      has: (name) => extensions.includes(name),
+      get: () => null,
+    },
+    renderLists: {
+      get(scene, renderCallDepth) {
+        if (!renderLists.has(renderCallDepth)) {
+          renderLists.set(renderCallDepth, createRenderList());
+        }
+
+        return renderLists.get(renderCallDepth);
+      },
+    },
+    properties: {
+      map: new WeakMap(),
+      get(object) {
+        if (!this.map.has(object)) this.map.set(object, {});
+
+        return this.map.get(object);
+      },
+    },
+    shadowMap: { enabled: false, autoUpdate: true },
+    info: {
+      autoReset: true,
+      render: { calls: 0 },
+      reset() {
+        this.render.calls = 0;
+      },
+    },
+    onDraw: null,
+
+    getContext: () => gl,
+    getPixelRatio: () => 1,
+    getSize: (target) => target.set(10, 10),
+    getViewport: (target) => target.set(0, 0, 10, 10),
+    getScissor: (target) => target.set(0, 0, 10, 10),
+    getScissorTest: () => false,
+    setViewport() {},
+    setScissor() {},
+    setScissorTest() {},
+    getRenderTarget: () => renderTarget,
+    setRenderTarget(target) {
+      renderTarget = target;
+    },
+    getClearColor: (target) => target.copy(clearColor),
+    setClearColor(color) {
+      clearColor.set(color);
+    },
+    getClearAlpha: () => 1,
+    clear() {},
+    clearColor() {},
+
+    render(scene, camera) {
+      if (this.info.autoReset) this.info.reset();
+
+      // Full-screen passes
+      if (!scene.isScene) {
+        this.info.render.calls++;
+        return;
+      }
+
+      const renderList = this.renderLists.get(scene, depth);
+      renderList.init();
+
+      depth++;
+
+      scene.traverseVisible((object) => {
+        if (object.material && !Array.isArray(object.material)) {
+          renderList.push(object, object.geometry, object.material, 0, 0, null);
+        }
+      });
+
+      renderList.finish();
+
+      const items = renderList.opaque.concat(
+        renderList.transmissive,
+        renderList.transparent
+      );
+
+      for (const item of items) {
+        const { object, geometry, material } = item;
+
+        object.onBeforeRender(this, scene, camera, geometry, material, null);
+        // Older versions of three have no Material.onBeforeRender
+        if (material.onBeforeRender) {
+          material.onBeforeRender(this, scene, camera, geometry, object, null);
+        }
+
+        if (this.onDraw) this.onDraw(item, renderTarget);
+        this.info.render.calls++;
+      }
+
+      depth--;
+    },
+  };
+}
+
+export { createRenderer };